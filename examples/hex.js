@@ -6,12 +6,14 @@ let hex = new IntelHex();
 
 const blocksize = 128;
 
-hex.loadFile( '/Users/bill/Documents/Subversion/Karcher/CS1436_TREX_HMI/scripts/testfiles/flash4.hex', blocksize)
-.then( function( data ) {
+hex.loadFile( '/Users/bill/Documents/Subversion/Karcher/CS1436_TREX_HMI/scripts/testfiles/flash4.hex')
+.then( function( image ) {
+
+	let data = image.toBlocks( blocksize );
 
 	console.log( data.length + ' blocks of ' + blocksize + ', ' + blocksize * data.length + ' bytes');
 
-	data.forEach( function( block, index ){
+	data.forEach( function( block ){
 
 		// console.log('Block ' + (index * 128).toString(16), JSON.stringify( block ));
 
@@ -236,8 +236,15 @@ function loadFile( filename ) {
   return new Promise( function( resolve, reject ){
     let parser = new IntelHex();
 
-    parser.loadFile( filename, 64 )
-    .then( function( blocks ){
+    parser.loadFile( filename )
+    .then( function( image ){
+      // sendFile expects an array of 64-byte blocks, indexed by block number
+      let blocks = [];
+
+      image.toBlocks( 64 ).forEach( function( block ){
+        blocks[ block.index ] = Array.from( block.data );
+      });
+
       return resolve( blocks );
     })
     .catch( function( err ){
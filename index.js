@@ -20,7 +20,15 @@
 
 const EventEmitter = require('events').EventEmitter;
 
-const IntelHex = require('./lib/intelhex');
+const Formats = require('./lib/formats');
+const MemoryImage = require('./lib/MemoryImage');
+const Decompress = require('./lib/decompress');
+const BlockPipeline = require('./lib/pipeline');
+const FirmwarePackage = require('./lib/package');
+const Checksum = require('./lib/checksum');
+const Remap = require('./lib/remap');
+const Validate = require('./lib/validate');
+const Ranges = require('./lib/ranges');
 
 // Bootloader OP codes (for communicating with embedded bootloader)
 
@@ -55,6 +63,16 @@ const BL_PROC_PIC24 = 0x02;
 const BL_PLAT_CS1435 = 0x00;
 const BL_PLAT_GENERIC = 0x20;
 
+/**
+ * The status message for each boundaryBlocks policy, for a block that is
+ * partly outside the application space
+ */
+const BOUNDARY_ACTIONS = {
+  skip: 'not sending it',
+  trim: 'sending only the part inside it',
+  include: 'sending all of it',
+};
+
 
 /**
  * Defines the class exported from this module
@@ -67,14 +85,8 @@ module.exports = class ModbusBootloader extends EventEmitter {
 
     let me = this;
 
-    // expose this class definition to upper level application
-    me.BootloaderTarget = require('./lib/BootloaderTarget.js');
-
-    // expose this class definition to upper level application
-    me.Hex = require('./lib/intelhex.js');
-
-    // Stores data parsed from the hex file
-    me.flashBlocks = [];
+    // nothing has been loaded yet
+    me.resetImage();
 
     // Keep a reference to the communication port we will use
     me.master = master;
@@ -83,9 +95,17 @@ module.exports = class ModbusBootloader extends EventEmitter {
     me.target = null;
     me.space = null;
 
+    // the index of the memory space being loaded
+    me.spaceIndex = null;
+
+    // the number of spaces in this session, and how many are done
+    me.spaceCount = 1;
+    me.spacesCompleted = 0;
+
     // the block size of the currently selected memory space
     me.blockSize = 0;
 
+    // true while commands are passed through the gateway
     me.inPassThru = false;
 
     // the bootloader version of the target device
@@ -96,9 +116,8 @@ module.exports = class ModbusBootloader extends EventEmitter {
     // a list of all our in-progress modbus transactions (Transaction objects)
     me.transactions = [];
 
-    // the CRC we calculate, for the purposes of matching with the bootloader's
-    // calculation
-    me.computedCrc = null;
+    // the firmware package being loaded, if any; the device must match its manifest
+    me.firmwarePackage = null;
 
     // are we in the process of aborting an unfinished load?
     me.aborting = false;
@@ -106,9 +125,103 @@ module.exports = class ModbusBootloader extends EventEmitter {
     // Are we in the process of loading target?
     me.inProgress = false;
 
+    options = options || {};
+
     me.log = options.logger || { info: function() {}, error: function() {}, silly: function() {}, verbose: function() {}, warn: function() {} };
   }
 
+  // expose this class definition to upper level application
+  get BootloaderTarget() {
+    return require('./lib/BootloaderTarget.js');
+  }
+
+  // expose this class definition to upper level application
+  get Hex() {
+    return require('./lib/intelhex.js');
+  }
+
+  // expose this class definition to upper level application
+  get SRecord() {
+    return require('./lib/srecord.js');
+  }
+
+  // expose this class definition to upper level application
+  get Elf() {
+    return require('./lib/elffile.js');
+  }
+
+  // expose this class definition to upper level application
+  get Binary() {
+    return require('./lib/binfile.js');
+  }
+
+  // expose this class definition to upper level application
+  get TiTxt() {
+    return require('./lib/titxt.js');
+  }
+
+  // expose this class definition to upper level application
+  get MemoryImage() {
+    return MemoryImage;
+  }
+
+  // expose the image comparison functions to upper level application
+  get Diff() {
+    return require('./lib/diff.js');
+  }
+
+  // expose the image merge functions to upper level application
+  get Merge() {
+    return require('./lib/merge.js');
+  }
+
+  // expose this class definition to upper level application
+  get Package() {
+    return FirmwarePackage;
+  }
+
+  // expose the checksum insertion functions to upper level application
+  get Checksum() {
+    return Checksum;
+  }
+
+  // expose the image relocation function to upper level application
+  get Remap() {
+    return Remap;
+  }
+
+  // forget the image loaded by importFile() or beginPipeline(), before
+  // another is loaded
+  resetImage() {
+
+    let me = this;
+
+    // The memory image parsed from the file
+    me.image = null;
+
+    // The indexes of the (hexBlock-sized) blocks of the image that are to be
+    // sent to the device.  Each block is read from the image and passed
+    // through the send filter just before it is sent, so large images are
+    // not held in memory twice.
+    me.sendList = [];
+
+    // how many of them there are
+    me.totalBlocks = 0;
+
+    // feeds blocks to sendBlocks() while the file is parsed (pipelined mode)
+    me.pipeline = null;
+
+    // the CRC we calculate, for the purposes of matching with the bootloader's
+    // calculation
+    me.computedCrc = null;
+
+    // problems found by validateHexFile() in the last image loaded
+    me.validation = [];
+
+    // the execution start address found in the image file, if any
+    me.entryPoint = null;
+  }
+
   // access state variable
   isAborting() {
     return this.aborting;
@@ -160,6 +273,16 @@ module.exports = class ModbusBootloader extends EventEmitter {
     // means the modbus master will use its default.
     options.unit = options.unit || me.unit || undefined;
 
+    // allow for the extra hop through the gateway, including for commands
+    // that would use the master's default timeout
+    if(me.inPassThru) {
+      let timeout = options.timeout || (me.master.options && me.master.options.defaultTimeout);
+
+      if(timeout) {
+        options.timeout = timeout * me.passThruTimeoutScale;
+      }
+    }
+
     return new Promise(function(resolve, reject) {
 
       // options.onResponse = function(response) {
@@ -191,8 +314,9 @@ module.exports = class ModbusBootloader extends EventEmitter {
 
       //};
 
-      // If user has commanded an abort, don't send any commands
-      if(me.aborting) {
+      // If user has commanded an abort, don't send any commands, except to
+      // close pass through so the gateway goes back to normal
+      if(me.aborting && op !== BL_OP_PASSTHRU_OFF) {
         reject('Aborted by user');
       } else {
         // queue the command and save the transaction in case we need it
@@ -247,6 +371,10 @@ module.exports = class ModbusBootloader extends EventEmitter {
         //let check = me.target.isCompatible( response );
         let check = true;
 
+        if(me.firmwarePackage) {
+          check = me.firmwarePackage.checkDevice(response[0], response[1], response[2]);
+        }
+
         if(true !== check) {
           throw new Error(check);
         }
@@ -278,24 +406,103 @@ module.exports = class ModbusBootloader extends EventEmitter {
    *
    * Establishes communication, parses the file, loads and verifies it
    *
-   * @param      string|function   file     The file to be programmed
+   * @param      string|Readable|Buffer|object|FirmwarePackage   file     The file (or image data) to be programmed
    * @param      object   options  The options
+   * @param      {number}   [options.baseAddress]  Load address of a binary image
+   * @param      {boolean}  [options.pipeline]  Send blocks while the file is still being parsed
+   * @param      {boolean}  [options.lenient]  Skip bad lines in the file, with warnings
+   * @param      {string}   [options.overlaps]  'error' to reject records that overwrite earlier data
+   * @param      {BootloaderTarget}  [options.gateway]  A target (eg CS1451) to reach the device through
+   * @param      {number}   [options.passThruTimeoutScale]  Multiplies the timeouts while passing
+   *                                                       through the gateway (default 2)
    * @return     {Promise}  Resolves when operation is complete
    */
   start(file, config) {
 
+    // the image in a package is checked against the package's manifest
+    let packageImage = null;
+    let pkg = null;
+
+    if(file instanceof FirmwarePackage) {
+      try {
+        file.spacesFor(config.target);
+      } catch (err) {
+        return Promise.reject(err);
+      }
+
+      packageImage = file.imageFor(config.space);
+
+      if(!packageImage) {
+        return Promise.reject(new Error('Package has no image for space ' + config.space));
+      }
+
+      pkg = file;
+      file = packageImage.image;
+    }
+
+    return this.session([{ space: config.space, image: file, crc: packageImage ? packageImage.crc : null }], config, pkg);
+  }
+
+  /**
+   * Programs several memory spaces in one bootloader session
+   *
+   * Sends one ENQ, then SELECT, ERASE, DATA and VERIFY for each space in
+   * turn.  FINISH, which takes the device out of the bootloader, is sent
+   * only after every space has verified.  'progress' events report the
+   * percentage of the whole session (each space counting equally), and
+   * 'spaceProgress' events report (space, percent) for the space being loaded.
+   *
+   * @param      {Array}    list    { space, image } for each space, in the order
+   *                                they are to be loaded, where image is anything
+   *                                start() accepts other than a FirmwarePackage.
+   *                                An entry may also have the crc its image must have,
+   *                                and its own baseAddress, lenient, overlaps and
+   *                                decompress options (otherwise those in config apply).
+   * @param      {object}   config  As for start(), except that space is not needed
+   * @return     {Promise}  Resolves when all the spaces have been loaded
+   */
+  loadSpaces(list, config) {
+    return this.session(list, config, null);
+  }
+
+  // loads each { space, image, crc } of the list and then sends FINISH.  If
+  // there is a package, the device must match its manifest
+  session(list, config, pkg) {
+
     let me = this;
 
+    let missing = list.find((entry) => !config.target.spaces[entry.space]);
+
+    if(0 === list.length) {
+      return Promise.reject(new Error('No memory spaces to load'));
+    } else if(missing) {
+      return Promise.reject(new Error('Target has no memory space ' + missing.space));
+    }
+
     // what we are looking to program
     me.target = config.target;
-    me.space = config.target.spaces[config.space];
+    me.space = config.target.spaces[list[0].space];
+
+    me.firmwarePackage = pkg;
     me.inPassThru = false;
     me.aborting = false;
     me.transactions = [];
 
+    // the target that forwards our commands to the device being loaded, from
+    // when PASSTHRU_ON is sent to it until PASSTHRU_OFF is
+    me.gateway = null;
+
     // save, if set in config
     me.unit = config.unit;
 
+    // how much longer than usual commands are allowed to take while they are
+    // passed through the gateway
+    me.passThruTimeoutScale = config.passThruTimeoutScale || 2;
+
+    // for reporting the progress of the whole session
+    me.spaceCount = list.length;
+    me.spacesCompleted = 0;
+
     // default this for backward compatibility
     me.space.enquireRetries = me.space.enquireRetries || 100;
 
@@ -305,12 +512,12 @@ module.exports = class ModbusBootloader extends EventEmitter {
 
       me.inProgress = true;
 
-      // for keeping track of elapsed time
-      let timer;
-
       me.emit('status', 'Checking Communication');
 
-      me.connectToTarget()
+      me.openPassThru(config.gateway)
+      .then(function() {
+        return me.connectToTarget();
+      })
       .then(function(response) {
         if(me.space.selectDelay) {
           me.emit('status', 'Waiting for Reset');
@@ -319,98 +526,27 @@ module.exports = class ModbusBootloader extends EventEmitter {
           });
         }
       })
-      .then(function(response) {
+      .then(function() {
         me.emit('status', 'Connected');
-        me.emit('status', 'Selecting Memory');
-        return me.command(BL_OP_SELECT, [config.space]);
-      })
-      .then(function(response) {
 
-        if(response.length > 5) {
-          // version 4 uses a differently formatted message
-          if(me.targetVersion[0] < 4) {
-            me.blockSize = response[0] * 256 + response[1];
-            me.appStart = (response[2] * 0x1000000 + response[3] * 0x10000 + response[4] * 0x100 + response[5]);
-            me.appEnd = (response[6] * 0x1000000 + response[7] * 0x10000 + response[8] * 0x100 + response[9]);
-          } else {
-            me.blockSize = response[0] * 256 + response[1];
-            let startBlock = response[2] * 0x100 + response[3];
-            let endBlock = response[4] * 0x100 + response[5];
-
-            me.appStart = startBlock * me.blockSize;
-            me.appEnd = endBlock * me.blockSize;
-          }
-
-          me.emit('status', 'Min Block Size: ' + me.blockSize);
-          me.emit('status', 'App Start: ' + me.appStart.toString(16));
-          me.emit('status', 'App End: ' + me.appEnd.toString(16));
-
-          return me.importFile(file);
-        } else {
-          throw (new Error('Invalid response to Select'));
-        }
+        return me.checkImages(list, config);
       })
       .then(function() {
+        return list.reduce(function(previous, entry, index) {
+          return previous.then(function() {
+            if(list.length > 1) {
+              me.emit('status', 'Loading ' + (config.target.spaces[entry.space].name || ('space ' + entry.space)) +
+                ' (' + (index + 1) + ' of ' + list.length + ')');
+            }
 
-        // import was successful (otherwise an exception would
-        // have been thrown and we wouldn't be here.)
-
-        // send erase command
-        me.emit('status', 'Erasing');
-
-        timer = process.hrtime();
-
-        let action = me.command(BL_OP_ERASE, { timeout: me.space.eraseTimeout });
-
-        return action;
-
-      })
-      .then(function(response) {
-
-        if(BL_OP_ACK === response[0]) {
-
-          let elapsed = process.hrtime(timer);
-          let seconds = (elapsed[0] + (elapsed[1] / 1000000000)).toFixed(2);
-
-          me.emit('status', 'Erase Complete (' + seconds + ' sec)');
-
-          // Send the data!
-          me.emit('status', 'Sending...');
-          timer = process.hrtime();
-
-          return me.sendBlocks();
-        } else {
-          throw new Error('Erase command was rejected by the device');
-        }
+            return me.loadSpace(entry, config);
+          })
+          .then(function() {
+            me.spacesCompleted++;
+          });
+        }, Promise.resolve());
       })
       .then(function() {
-
-        let elapsed = process.hrtime(timer);
-        let seconds = (elapsed[0] + (elapsed[1] / 1000000000)).toFixed(2);
-
-        me.emit('status', 'Programming Complete (' + seconds + ' sec)');
-
-        me.emit('status', 'Validating..');
-
-        timer = process.hrtime();
-
-        // End of transmission; request checksum
-        let action = me.command(BL_OP_VERIFY, { timeout: me.space.verifyTimeout });
-
-        return action;
-      })
-      .then(function(response) {
-
-        let checksum = (response[0] << 8) + response[1];
-
-        let elapsed = process.hrtime(timer);
-        let seconds = (elapsed[0] + (elapsed[1] / 1000000000)).toFixed(2);
-
-        me.emit('status', 'Checksum: ' + checksum.toString(16) + ' (' + seconds + ' sec)');
-
-        if(me.computedCrc !== checksum) {
-          throw new Error('Incorrect Checksum: Received ' + checksum.toString(16) + ' but wanted ' + me.computedCrc.toString(16));
-        }
         return me.command(BL_OP_FINISH, { timeout: me.space.finishTimeout });
       })
       .then(function(response) {
@@ -420,18 +556,25 @@ module.exports = class ModbusBootloader extends EventEmitter {
           //me.emit('status', 'Resetting');
           //me.port.write( [BL_OP_RESET] );
 
-          resolve();
+          return me.closePassThru();
         } else {
           throw new Error('FINISH Command failed');
         }
 
 
+      })
+      .then(function() {
+        resolve();
       })
       .catch(function(err) {
         // cancel any other transactions that are in progress
         me.abort();
         //console.log('mb-loader', err);
-        reject(err);
+
+        return me.closePassThru()
+        .then(function() {
+          reject(err);
+        });
       })
       .finally(function() {
         me.inProgress = false;
@@ -442,177 +585,1143 @@ module.exports = class ModbusBootloader extends EventEmitter {
 
   }
 
-  // cancel bootloader
-  abort() {
+  /**
+   * Selects a memory space, then erases, loads and verifies it
+   *
+   * Does not send FINISH, so further spaces can be loaded afterwards.
+   *
+   * @param      {object}   entry   { space, image, crc } as for loadSpaces()
+   * @param      {object}   config  As for start()
+   * @return     {Promise}  Resolves when the device reports the right checksum
+   */
+  loadSpace(entry, config) {
+
     let me = this;
 
-    if(!me.aborting) {
-      me.aborting = true;
+    // for keeping track of elapsed time
+    let timer;
 
-      me.log.info('MB_LOADER aborting ' + me.transactions.length);
-      if(me.transactions.length > 0) {
+    return me.selectSpace(entry, config)
+    .then(function() {
 
-        for(let i = me.transactions.length - 1; i >= 0; i--) {
+      let importOptions = me.importOptions(entry, config);
 
-          me.transactions[i].cancel();
+      // the checksum of a pipelined image is only known once it is sent
+      if(config.pipeline && 'number' !== typeof(entry.crc)) {
+        return me.beginPipeline(entry.image, importOptions);
+      }
+      return me.importFile(entry.image, importOptions);
+    })
+    .then(function() {
 
-        }
+      // the checksum in the package must match the image we are about to load
+      me.checkImageCrc(entry);
 
-        //me.transactions = [];
+      // import was successful (otherwise an exception would
+      // have been thrown and we wouldn't be here.)
+
+      // send erase command
+      me.emit('status', 'Erasing');
+
+      timer = process.hrtime();
+
+      let action = me.command(BL_OP_ERASE, { timeout: me.space.eraseTimeout });
+
+      return action;
+
+    })
+    .then(function(response) {
+
+      if(BL_OP_ACK === response[0]) {
 
+        let elapsed = process.hrtime(timer);
+        let seconds = (elapsed[0] + (elapsed[1] / 1000000000)).toFixed(2);
+
+        me.emit('status', 'Erase Complete (' + seconds + ' sec)');
+
+        // Send the data!
+        me.emit('status', 'Sending...');
+        timer = process.hrtime();
+
+        return me.sendBlocks();
+      } else {
+        throw new Error('Erase command was rejected by the device');
       }
-      me.emit('status', 'Aborted');
-    }
-  }
+    })
+    .then(function() {
 
+      let elapsed = process.hrtime(timer);
+      let seconds = (elapsed[0] + (elapsed[1] / 1000000000)).toFixed(2);
 
-  // check to make sure the loaded image is compatible with our device
-  validateHexFile(blocks) {
-    return true;
-  }
+      me.emit('status', 'Programming Complete (' + seconds + ' sec)');
 
-  /**
-   * Builds a bootloader byte stream for a single data block and
-   * returns a promise that resolves when it has been sent and acked.
-   *
-   * @param      {<type>}  index   The index
-   * @param      {<type>}  block   The block
-   * @return     Promise  Resolves when the block is sent and acknowledged
-   */
-  sendAppBlock(index, block) {
+      me.emit('status', 'Validating..');
 
-    let me = this;
+      timer = process.hrtime();
 
-    // console.log('Send Block ' + index);
+      // End of transmission; request checksum
+      let action = me.command(BL_OP_VERIFY, { timeout: me.space.verifyTimeout });
 
-    return me.command(BL_OP_DATA, block, { timeout: me.space.dataTimeout, maxRetries: me.space.dataRetries })
+      return action;
+    })
     .then(function(response) {
-      if(response[0] !== BL_OP_ACK) {
-        throw new Error('Unexpected response while writing data: ' + response[0]);
-      } else {
 
-        // bytes 2 and 3 of the block are the address of the block.
-        // if the bootloader returned the address in its response, make sure
-        // it is the 'ACK' for the block we sent.  Otherwise we have gotten
-        // out of sync with the embedded side
-        if(me.blScalarVersion >= 0x0401 && response.length > 3) {
-          //console.log('Block ' + me.blocksCompleted + ' complete', block, response[3],response[4]);
+      let checksum = (response[0] << 8) + response[1];
 
-          if(block[2] !== response[3] || block[3] !== response[4]) {
-            me.log.error('BLOCK OUT OF SEQUENCE');
-            throw new Error('Incorrect Block Acknowledgement');
-          }
-        }
+      let elapsed = process.hrtime(timer);
+      let seconds = (elapsed[0] + (elapsed[1] / 1000000000)).toFixed(2);
 
-        me.blocksCompleted++;
-        me.emit('progress', 100 * (me.blocksCompleted / me.totalBlocks));
+      me.emit('status', 'Checksum: ' + checksum.toString(16) + ' (' + seconds + ' sec)');
 
+      if(me.computedCrc !== checksum) {
+        throw new Error('Incorrect Checksum: Received ' + checksum.toString(16) + ' but wanted ' + me.computedCrc.toString(16));
       }
-    })
-    .catch(function(err) {
-      throw err;
     });
   }
 
   /**
-   * Reads the specified hex file and parses it into binary blocks
+   * Sends SELECT for a memory space, and reads the block size and
+   * application space from the response
    *
-   * @param      string  filename  The filename
-   * @return     Promise  resolves when the file has been parsed
+   * @param      {object}   entry   { space, image, crc } as for loadSpaces()
+   * @param      {object}   config  As for start()
+   * @return     {Promise}  Resolves when the space is selected
    */
-  importFile(file) {
+  selectSpace(entry, config) {
 
     let me = this;
-    let loader;
-
-    let hex = new IntelHex();
-    let space = me.space;
 
-    const { Readable } = require('stream');
+    me.space = config.target.spaces[entry.space];
+    me.spaceIndex = entry.space;
 
-    if(file instanceof Readable) {
-      // Read and check the HEX file
-      me.emit('status', 'Loading File');
-      loader = hex.loadStream(file, me.space.hexBlock);
-    } else if('string' === typeof(file)) {
+    me.emit('status', 'Selecting Memory');
 
-      me.emit('status', 'Loading File: ' + file);
-      loader = hex.loadFile(file, me.space.hexBlock);
+    return me.command(BL_OP_SELECT, [entry.space], { timeout: me.space.selectTimeout })
+    .then(function(response) {
 
-    } else {
-      throw new Error('Dont know how to import File');
-    }
+      if(response.length <= 5) {
+        throw (new Error('Invalid response to Select'));
+      }
 
-    // load file into blocks according to desired block size
-    return loader
-    .then(function(blocks) {
+      // version 4 uses a differently formatted message
+      if(me.targetVersion[0] < 4) {
+        me.blockSize = response[0] * 256 + response[1];
+        me.appStart = (response[2] * 0x1000000 + response[3] * 0x10000 + response[4] * 0x100 + response[5]);
+        me.appEnd = (response[6] * 0x1000000 + response[7] * 0x10000 + response[8] * 0x100 + response[9]);
+      } else {
+        me.blockSize = response[0] * 256 + response[1];
+        let startBlock = response[2] * 0x100 + response[3];
+        let endBlock = response[4] * 0x100 + response[5];
 
-      // if there is a filter to be applied while loading, do it
-      if('function' === typeof(me.space.loadFilter)) {
-        me.space.loadFilter(blocks, me.space);
+        me.appStart = startBlock * me.blockSize;
+        me.appEnd = endBlock * me.blockSize;
       }
 
-      if(me.validateHexFile(blocks)) {
+      me.emit('status', 'Min Block Size: ' + me.blockSize);
+      me.emit('status', 'App Start: ' + me.appStart.toString(16));
+      me.emit('status', 'App End: ' + me.appEnd.toString(16));
+    });
+  }
 
-        me.flashBlocks = [];
-        me.totalBlocks = 0;
+  // Checks the image of each entry that has a crc, before any space is
+  // erased.  The checksum depends on the application space, so each space
+  // is selected and its image read; loadSpace() reads it again to load it.
+  // A single space is checked by loadSpace(), before it is erased.
+  checkImages(list, config) {
 
-        // determine the CRC of the entire application space
-        // do this before filtering for just non-empty blocks, so we get the
-        // correct answer
-        me.computedCrc = me.space.checksum(me.appStart - me.space.dataOffset, me.appEnd - me.space.dataOffset, me.space.hexBlock, blocks);
+    let me = this;
 
+    if(list.length < 2 || !list.some((entry) => 'number' === typeof(entry.crc))) {
+      return Promise.resolve();
+    }
 
-        // Filter for blocks we need to send, and apply the send filter
-        blocks.forEach(function(block, index) {
+    me.emit('status', 'Checking Images');
 
-          let start = index * space.hexBlock / space.addressing + space.dataOffset;
-          let end = ((index + 1) * space.hexBlock / space.addressing) - space.addressing + space.dataOffset;
+    return list.reduce(function(previous, entry) {
 
-          if(start >= me.appStart && end <= me.appEnd) {
-            if(!space.skipEmptyBlocks || !space.blockIsEmpty(block)) {
-              me.totalBlocks++;
-              me.flashBlocks.push(me.space.sendFilter(index, block, space.addressing, space.dataOffset));
+      if('number' !== typeof(entry.crc)) {
+        return previous;
+      }
 
-            } else {
-              //console.log( 'Skipping empty block at ',start.toString(16));
-            }
-          } else {
-            //me.emit('status', 'Ignoring out-of-range data at ' + start.toString(16));
-          }
-        });
+      return previous.then(function() {
+        return me.selectSpace(entry, config);
+      })
+      .then(function() {
+        return me.importFile(entry.image, me.importOptions(entry, config));
+      })
+      .then(function() {
+        me.checkImageCrc(entry);
+      });
+    }, Promise.resolve());
+  }
 
-      } else {
-        throw new Error('Hex file is not compatible with this device');
-      }
+  // the checksum an entry (from a package) gives must match its image
+  checkImageCrc(entry) {
+
+    if('number' === typeof(entry.crc) && this.computedCrc !== entry.crc) {
+      throw new Error('Image checksum ' + this.computedCrc.toString(16) + ' does not match the package (' + entry.crc.toString(16) + ')');
+    }
+  }
+
+  // the options for reading the image of a { space, image } entry; each can
+  // be given in the entry, or in config for every space
+  importOptions(entry, config) {
+
+    let options = {};
+
+    ['baseAddress', 'lenient', 'overlaps', 'decompress'].forEach(function(key) {
+      options[key] = (undefined !== entry[key]) ? entry[key] : config[key];
     });
 
+    return options;
   }
 
   /**
-   * Builds an array of DATA commands to send to the device
+   * Asks a gateway to pass our commands through to the device behind it
    *
-   * @return     Promise  Resolves when all blocks have been sent
+   * The gateway is sent ENQ (with its own timeouts) and then PASSTHRU_ON.
+   * From then on commands go to the downstream device, with their timeouts
+   * multiplied by passThruTimeoutScale.
+   *
+   * @param      {BootloaderTarget}  gateway  The gateway, or undefined to talk
+   *                                          to the device directly
+   * @return     {Promise}  Resolves when pass through is on
    */
-  async sendBlocks() {
+  openPassThru(gateway) {
 
     let me = this;
-    let space = me.space;
-
-    let todo = [];
 
-    me.blocksCompleted = 0;
+    if(!gateway) {
+      return Promise.resolve();
+    }
 
-    // for each block we have, create a Promise to send it.  Put
-    // all the promises in the array.
-    for(const [index, block] of me.flashBlocks.entries()) {
-      await me.sendAppBlock(index, block);
+    if(!gateway.target.supportsPassThru) {
+      return Promise.reject(new Error(gateway.target.name + ' does not support pass through'));
     }
 
-    //console.log( 'block checksum: ', me.blockChecksum);
+    me.emit('status', 'Connecting to ' + gateway.target.name);
+
+    return me.command(BL_OP_ENQUIRE, null, { timeout: gateway.target.enquireTimeout, maxRetries: gateway.target.enquireRetries })
+    .then(function(response) {
+
+      if(response.length < 4) {
+        throw new Error('Invalid Response to ENQ');
+      }
+
+      me.emit('status', 'Opening Pass Through');
 
-    // Return a promise that resolves when all Promises in the array are completed.
-    //return Promise.all(todo);
+      // from here on, the gateway may be forwarding our commands
+      me.gateway = gateway;
+
+      return me.command(BL_OP_PASSTHRU_ON, { timeout: gateway.target.selectTimeout });
+    })
+    .then(function(response) {
+
+      if(BL_OP_ACK !== response[0]) {
+        throw new Error('Pass through was refused by ' + gateway.target.name);
+      }
+
+      me.inPassThru = true;
+      me.emit('status', 'Pass Through On');
+    })
+    .catch(function(err) {
+      if(err.name === 'ResponseTimeoutError') {
+        throw new Error('No Response from ' + gateway.target.name);
+      } else {
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Sends PASSTHRU_OFF if PASSTHRU_ON has been sent
+   *
+   * This is done on the way out of every load (even one that failed or was
+   * aborted), so a problem closing pass through is only reported in a status
+   * message.
+   *
+   * @return     {Promise}  Resolves when the gateway has answered (or not)
+   */
+  closePassThru() {
+
+    let me = this;
+    let gateway = me.gateway;
+
+    if(!gateway) {
+      return Promise.resolve();
+    }
+
+    me.gateway = null;
+    me.inPassThru = false;
+
+    me.emit('status', 'Closing Pass Through');
+
+    return me.command(BL_OP_PASSTHRU_OFF, { timeout: gateway.target.finishTimeout })
+    .then(function(response) {
+      if(BL_OP_ACK !== response[0]) {
+        throw new Error('Refused');
+      }
+      me.emit('status', 'Pass Through Off');
+    })
+    .catch(function(err) {
+      me.emit('status', 'Warning: Could not close pass through on ' + gateway.target.name + ' (' + (err.message || err) + ')');
+    });
+  }
+
+  // cancel bootloader
+  abort() {
+    let me = this;
+
+    if(!me.aborting) {
+      me.aborting = true;
+
+      me.log.info('MB_LOADER aborting ' + me.transactions.length);
+      if(me.transactions.length > 0) {
+
+        for(let i = me.transactions.length - 1; i >= 0; i--) {
+
+          me.transactions[i].cancel();
+
+        }
+
+        //me.transactions = [];
+
+      }
+      me.emit('status', 'Aborted');
+    }
+  }
+
+
+  /**
+   * Loads every image in a firmware package into its memory space
+   *
+   * The spaces are loaded in one session, as with loadSpaces().  The
+   * device's product code and bootloader version are checked against the
+   * package manifest before anything is erased.
+   *
+   * @param      string|Buffer|FirmwarePackage   file  The package, or its filename
+   * @param      object   config  As for start(), except that space is not needed
+   * @return     {Promise}  Resolves when all the spaces have been loaded
+   */
+  loadPackage(file, config) {
+
+    let me = this;
+
+    let reader;
+
+    if(file instanceof FirmwarePackage) {
+      reader = Promise.resolve(file);
+    } else if('string' === typeof(file)) {
+      reader = FirmwarePackage.loadFile(file);
+    } else {
+      reader = FirmwarePackage.parse(file);
+    }
+
+    return reader
+    .then(function(pkg) {
+
+      let spaces = pkg.spacesFor(config.target);
+
+      if(pkg.version) {
+        me.emit('status', 'Package Version: ' + pkg.version);
+      }
+
+      return me.session(spaces.map(function(space) {
+
+        let packageImage = pkg.imageFor(space);
+
+        return { space: space, image: packageImage.image, crc: packageImage.crc };
+      }), config, pkg);
+    });
+  }
+
+  /**
+   * Divide a combined file into one image for each memory space
+   *
+   * The data in each space's hexRanges (HEX file addresses) goes to that
+   * space; data in none of them is reported, and is an error if
+   * config.unrouted is 'error'.  Nothing is sent to the device.
+   *
+   * @param      {string|Buffer|MemoryImage}  file    As for start()
+   * @param      {object}   config  As for start(), except that space is not needed
+   * @param      {string}   [config.unrouted]  'error' to reject data that is in no space
+   * @return     {Promise}  Resolves with a list of { space, image } for the
+   *                        spaces that have data
+   */
+  splitFile(file, config) {
+
+    let me = this;
+    let opened;
+
+    try {
+      opened = me.openImage(file, {
+        baseAddress: config.baseAddress,
+        lenient: config.lenient,
+        overlaps: config.overlaps,
+        decompress: config.decompress,
+        fillValue: config.target.target.fillValue,
+      });
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    return opened.loader
+    .then(function(image) {
+
+      me.reportWarnings(opened.parser);
+
+      let result = config.target.split(image);
+
+      result.unrouted.forEach(function(range) {
+        me.emit('status', 'Warning: No memory space for the data at ' + range.address.toString(16) + '-' +
+          (range.address + range.length - 1).toString(16) + ' (' + range.length + ' bytes)');
+      });
+
+      if(result.unrouted.length > 0 && config.unrouted === 'error') {
+        throw new Error('File has data that is in no memory space, at ' + result.unrouted[0].address.toString(16));
+      }
+
+      result.images.forEach(function(entry) {
+        me.emit('status', (config.target.spaces[entry.space].name || ('space ' + entry.space)) + ': ' +
+          entry.image.byteCount() + ' bytes');
+      });
+
+      return result.images;
+    });
+  }
+
+  /**
+   * Check to make sure the loaded image is compatible with our device
+   *
+   * Looks for data outside the application space, data in the bootloader
+   * region (space.bootloaderRegion or the target's bootloaderRegion) and an
+   * image with nothing to load.  Each is a warning unless the target's (or
+   * space's) validation option says otherwise, eg { empty: 'error' }.
+   * The problems are left in this.validation.
+   *
+   * @param      {MemoryImage}  image   The image, after filtering
+   * @return     {boolean}  false if any problem is an error
+   */
+  validateHexFile(image) {
+
+    let me = this;
+    let space = me.space;
+    let target = (me.target && me.target.target) || {};
+
+    me.validation = Validate.validateImage(image, {
+      appStart: me.appStart,
+      appEnd: me.appEnd,
+      addressing: space.addressing,
+      dataOffset: space.dataOffset,
+      bootloaderRegion: space.bootloaderRegion || target.bootloaderRegion,
+      severity: Object.assign({}, target.validation, space.validation),
+    });
+
+    me.validation.forEach(function(diagnostic) {
+      if(diagnostic.severity === 'warning') {
+        me.emit('status', 'Warning: ' + diagnostic.message);
+      }
+    });
+
+    return !me.validation.some((diagnostic) => diagnostic.severity === 'error');
+  }
+
+  // the error for an image that validateHexFile() rejected
+  incompatibleError() {
+
+    let errors = this.validation.filter((diagnostic) => diagnostic.severity === 'error');
+    let err = new Error('Hex file is not compatible with this device' + (errors.length ? ': ' + errors[0].message : ''));
+
+    err.diagnostics = this.validation;
+
+    return err;
+  }
+
+  /**
+   * Builds a bootloader byte stream for a single data block and
+   * returns a promise that resolves when it has been sent and acked.
+   *
+   * @param      {<type>}  index   The index
+   * @param      {<type>}  block   The block
+   * @return     Promise  Resolves when the block is sent and acknowledged
+   */
+  sendAppBlock(index, block) {
+
+    let me = this;
+
+    // console.log('Send Block ' + index);
+
+    return me.command(BL_OP_DATA, block, { timeout: me.space.dataTimeout, maxRetries: me.space.dataRetries })
+    .then(function(response) {
+      if(response[0] !== BL_OP_ACK) {
+        throw new Error('Unexpected response while writing data: ' + response[0]);
+      } else {
+
+        // bytes 2 and 3 of the block are the address of the block.
+        // if the bootloader returned the address in its response, make sure
+        // it is the 'ACK' for the block we sent.  Otherwise we have gotten
+        // out of sync with the embedded side
+        if(me.blScalarVersion >= 0x0401 && response.length > 3) {
+          //console.log('Block ' + me.blocksCompleted + ' complete', block, response[3],response[4]);
+
+          if(block[2] !== response[3] || block[3] !== response[4]) {
+            me.log.error('BLOCK OUT OF SEQUENCE');
+            throw new Error('Incorrect Block Acknowledgement');
+          }
+        }
+
+        me.blocksCompleted++;
+
+        let percent = 100 * (me.blocksCompleted / me.totalBlocks);
+
+        me.emit('spaceProgress', me.spaceIndex, percent);
+        me.emit('progress', (100 * me.spacesCompleted + percent) / me.spaceCount);
+
+      }
+    })
+    .catch(function(err) {
+      throw err;
+    });
+  }
+
+  /**
+   * Starts loading the specified file into a memory image
+   *
+   * The file may also be a MemoryImage that has already been loaded.
+   *
+   * The file may be a Readable stream, a filename, a string containing
+   * HEX records or S-records, or an object of the form { hex: '...' } or
+   * { srec: '...' }.  Files named *.s19, *.s28, *.s37, *.srec or *.mot are
+   * parsed as S-records.
+   *
+   * A Buffer or Uint8Array, or a file named *.bin, is treated as a raw binary
+   * image located at options.baseAddress, unless it is an ELF executable.
+   * Files named *.elf or *.axf are read as ELF executables.
+   *
+   * TI-TXT files (named *.txt, or strings that start with an '@ADDR' line)
+   * can also be loaded, or an object of the form { titxt: '...' }.
+   *
+   * Files, Buffers and streams that are gzip or zlib compressed (eg
+   * 'app.hex.gz') are decompressed first.  The format of a stream is found
+   * from its first bytes.
+   *
+   * @param      string|Readable|Buffer|object  file  The file
+   * @param      {object}   options  The options
+   * @param      {number}   [options.baseAddress]  Address of a binary image (default 0)
+   * @param      {boolean}  [options.lenient]  Skip bad lines and accept a missing
+   *                                           EOF record, with warnings
+   * @param      {string}   [options.overlaps]  'error' or 'warning' (default) for
+   *                                            records that write the same address
+   * @param      {boolean}  [options.decompress]  false to load gzip/zlib data as it is
+   * @param      {number}   [options.fillValue]  The value of addresses the file does not
+   *                                            fill in (default: the space's fillValue)
+   * @param      {Function}  [onParser]  Called with the parser once it is chosen
+   *                                     (for a stream, once its format is known)
+   * @return     {object}   { parser, loader } where loader is a Promise that
+   *                        resolves with the image.  parser is undefined if
+   *                        the file was already a MemoryImage, and until the
+   *                        format of a stream is known
+   */
+  openImage(file, options, onParser) {
+
+    let me = this;
+    let opened = { parser: undefined, loader: null };
+
+    const { Readable } = require('stream');
+
+    options = options || {};
+
+    // addresses the file does not fill in read as the erased value of the space
+    let fillValue = ('number' === typeof(options.fillValue)) ? options.fillValue : (me.space ? me.space.fillValue : undefined);
+
+    // sets up the parser chosen for the input, and starts it
+    function start(input) {
+
+      me.configureParser(input.parser, options, fillValue);
+      opened.parser = input.parser;
+
+      if(onParser) {
+        onParser(input.parser);
+      }
+
+      return input.load();
+    }
+
+    if(file instanceof MemoryImage) {
+      opened.loader = me.openMemoryImage(file, fillValue);
+    } else if(file instanceof Readable) {
+      // the format of a stream is known once its first bytes have been read
+      opened.loader = me.openStream(file, options).then(start);
+    } else {
+      opened.loader = start(me.openInput(file, options));
+    }
+
+    return opened;
+  }
+
+  // an image that has already been parsed; work on a copy since the load
+  // filter may change it
+  openMemoryImage(file, fillValue) {
+
+    this.emit('status', 'Loading Image');
+
+    let image = file.clone();
+
+    if('number' === typeof(fillValue)) {
+      image.fillValue = fillValue;
+    }
+
+    return Promise.resolve(image);
+  }
+
+  // chooses the parser for a file, returning { parser, load } where load()
+  // starts the parser on the input
+  openInput(file, options) {
+
+    if(file instanceof Uint8Array) {
+      return this.openBuffer(file, options);
+    } else if('string' === typeof(file)) {
+      return this.openString(file, options);
+    }
+
+    return this.openObject(file);
+  }
+
+  // a stream, decompressed if necessary; resolves with { parser, load } once
+  // its first bytes show what format it is
+  openStream(file, options) {
+
+    this.emit('status', 'Loading File');
+
+    return Formats.fromStream((options.decompress !== false) ? Decompress.createDecompressStream(file) : file)
+    .then(function(detected) {
+
+      let parser = Formats.createParser(detected.format);
+
+      parser.baseAddress = options.baseAddress || 0;
+
+      return { parser: parser, load: () => parser.loadStream(detected.stream) };
+    });
+  }
+
+  // raw binary or ELF data (includes Buffer), which may be compressed
+  openBuffer(file, options) {
+
+    let parser;
+
+    if(options.decompress !== false && Decompress.isCompressed(file)) {
+
+      // compressed data; the contents may be text or binary
+      this.emit('status', 'Decompressing');
+
+      let data = Decompress.decompressBuffer(file);
+      let text = Formats.fromContent(data.toString('latin1', 0, 256));
+
+      parser = Formats.createParser(text || Formats.fromBuffer(data));
+      parser.baseAddress = options.baseAddress || 0;
+
+      return { parser: parser, load: () => text ? parser.loadString(data.toString()) : parser.loadBuffer(data) };
+    }
+
+    this.emit('status', 'Loading Binary Data');
+    parser = Formats.createParser(Formats.fromBuffer(file));
+    parser.baseAddress = options.baseAddress || 0;
+
+    return { parser: parser, load: () => parser.loadBuffer(file) };
+  }
+
+  // the image data itself (HEX records, S-records or TI-TXT), or the name of a file
+  openString(file, options) {
+
+    let format = Formats.fromContent(file);
+    let parser;
+
+    if(format) {
+      this.emit('status', 'Loading Image Data');
+      parser = Formats.createParser(format);
+
+      return { parser: parser, load: () => parser.loadString(file) };
+    }
+
+    this.emit('status', 'Loading File: ' + file);
+    parser = Formats.createParser(Formats.fromFile(file));
+    parser.baseAddress = options.baseAddress || 0;
+
+    return { parser: parser, load: () => parser.loadFile(file) };
+  }
+
+  // an object like { hex: '...' } or { srec: '...' }
+  openObject(file) {
+
+    let format = null;
+
+    if(file && Object.getPrototypeOf(file) === Object.prototype) {
+      format = Object.keys(Formats.PARSERS).find((key) => 'string' === typeof(file[key])) || null;
+    }
+
+    if(!format) {
+      throw new Error('Dont know how to import File');
+    }
+
+    let parser = Formats.createParser(format);
+
+    this.emit('status', 'Loading Image Data');
+
+    return { parser: parser, load: () => parser.loadString(file[format]) };
+  }
+
+  // applies the import options to a parser, and relays its progress
+  configureParser(parser, options, fillValue) {
+
+    let me = this;
+
+    if(options.lenient) {
+      parser.mode = 'lenient';
+    }
+
+    if(options.overlaps) {
+      parser.overlapPolicy = options.overlaps;
+    }
+
+    parser.decompress = (options.decompress !== false);
+
+    if('number' === typeof(fillValue)) {
+      parser.fillValue = fillValue;
+    }
+
+    // relay load progress from the parser (percent is null if the size of
+    // the input is not known)
+    parser.on('progress', function(bytesRead, totalBytes) {
+      me.emit('loadProgress', totalBytes ? 100 * bytesRead / totalBytes : null, bytesRead);
+    });
+  }
+
+  // report any problems the parser found but was able to work around
+  reportWarnings(parser) {
+
+    let me = this;
+
+    if(parser && parser.diagnostics) {
+      parser.diagnostics.forEach(function(diagnostic) {
+        if(diagnostic.severity === 'warning') {
+          me.emit('status', 'Warning: ' + diagnostic.message);
+        }
+      });
+    }
+  }
+
+  // make the start address (if the file has one) available to the caller
+  reportEntryPoint(image) {
+
+    let me = this;
+    let space = me.space;
+
+    me.entryPoint = image.entryPoint;
+
+    if(null !== me.entryPoint) {
+      me.emit('status', 'Entry Point: ' + me.entryPoint.toString(16));
+
+      let entry = me.entryPoint / space.addressing + space.dataOffset;
+
+      if(entry < me.appStart || entry >= me.appEnd) {
+        me.emit('status', 'Entry point is outside the application space');
+      }
+    }
+  }
+
+  // move sections of the image as the space's remap table ([{ from, to, length }]) says
+  remapImage(image) {
+
+    let me = this;
+    let space = me.space;
+
+    if(space.remap) {
+      Remap.remapImage(image, space.remap, space.addressing).forEach(function(moved) {
+        me.emit('status', 'Remapped ' + moved.from.toString(16) + '-' + (moved.from + moved.length - 1).toString(16) +
+          ' to ' + moved.to.toString(16) + ' (' + moved.bytes + ' bytes)');
+      });
+    }
+  }
+
+  // keep only the data in the space's includeRanges, and remove the data in
+  // its excludeRanges ([{ name, start, end }] by device address)
+  applyRanges(image) {
+
+    let me = this;
+    let space = me.space;
+
+    if(space.includeRanges || space.excludeRanges) {
+
+      let report = Ranges.applyRanges(image, {
+        include: space.includeRanges,
+        exclude: space.excludeRanges,
+        addressing: space.addressing,
+        dataOffset: space.dataOffset,
+      });
+
+      report.forEach(function(entry) {
+        if(null === entry.name) {
+          me.emit('status', 'Removed ' + entry.bytes + ' bytes outside the included ranges');
+        } else {
+          me.emit('status', (entry.action === 'include' ? 'Including ' : 'Excluding ') + entry.name +
+            ' (' + entry.start.toString(16) + '-' + (entry.end - 1).toString(16) + '): ' + entry.bytes + ' bytes');
+        }
+      });
+    }
+  }
+
+  // write the checksums the space asks for (space.insertChecksum is one set
+  // of options for Checksum.insertChecksum(), or an array of them) into the image.
+  // Their addresses are device addresses in the space, as for appStart and appEnd.
+  insertChecksums(image) {
+
+    let me = this;
+    let space = me.space;
+    let list = space.insertChecksum;
+
+    if(list) {
+      (Array.isArray(list) ? list : [list]).forEach(function(options) {
+        options = Object.assign({ addressing: space.addressing, dataOffset: space.dataOffset, phantomBytes: space.phantomBytes }, options);
+
+        let value = Checksum.insertChecksum(image, options);
+        me.emit('status', 'Inserted ' + (options.algorithm || 'crc16') + ' ' + value.toString(16) + ' at ' + options.address.toString(16));
+      });
+    }
+  }
+
+  // decide whether a (hexBlock-sized) block of the image is to be sent to the device
+  //
+  // A block that is partly inside the application space is handled according
+  // to space.boundaryBlocks: 'skip' (the default) does not send it, 'trim'
+  // sends only the part inside it, 'include' sends the whole block, and
+  // 'reject' throws an error.
+  shouldSendBlock(index, block) {
+
+    let me = this;
+    let space = me.space;
+
+    if(me.isBlockInside(index)) {
+      if(!space.skipEmptyBlocks || !space.blockIsEmpty(block, space.fillValue)) {
+        return true;
+      } else {
+        //console.log( 'Skipping empty block at ',start.toString(16));
+      }
+    } else if(me.hasDataInside(index, block)) {
+
+      let policy = me.boundaryPolicy();
+      let where = 'The block at ' + (index * space.hexBlock / space.addressing + space.dataOffset).toString(16) +
+        ' is partly outside the application space (' + me.appStart.toString(16) + '-' + me.appEnd.toString(16) + ')';
+
+      if(policy === 'reject') {
+        throw new Error(where);
+      }
+
+      me.emit('status', where + '; ' + BOUNDARY_ACTIONS[policy]);
+      return policy !== 'skip';
+    }
+
+    return false;
+  }
+
+  // true if a block that is partly outside the application space has data
+  // (that is not empty, if the space skips empty blocks) in the part inside it
+  hasDataInside(index, block) {
+
+    let space = this.space;
+    let part = this.blockPart(index);
+
+    if(!part) {
+      return false;
+    }
+
+    let inside = block.slice(part.start - index * space.hexBlock, part.end - index * space.hexBlock);
+
+    return !(space.skipEmptyBlocks && space.blockIsEmpty(inside, space.fillValue));
+  }
+
+  // true if a (hexBlock-sized) block is completely inside the application space
+  isBlockInside(index) {
+
+    let me = this;
+    let space = me.space;
+
+    let start = index * space.hexBlock / space.addressing + space.dataOffset;
+    let end = ((index + 1) * space.hexBlock / space.addressing) - space.addressing + space.dataOffset;
+
+    return (start >= me.appStart && end <= me.appEnd);
+  }
+
+  // the part of a (hexBlock-sized) block that is inside the application
+  // space, as image addresses { start, end }, or null if there is none
+  blockPart(index) {
+
+    let space = this.space;
+
+    let start = Math.max(index * space.hexBlock, (this.appStart - space.dataOffset) * space.addressing);
+    let end = Math.min((index + 1) * space.hexBlock, (this.appEnd - space.dataOffset) * space.addressing);
+
+    return (start < end) ? { start: start, end: end } : null;
+  }
+
+  // the checksum of the application space of an image.  It covers exactly
+  // the application space only if the blocks at its edges are trimmed or
+  // included; otherwise the space's checksum covers whole blocks.
+  computeChecksum(image) {
+
+    let space = this.space;
+    let policy = this.boundaryPolicy();
+    let start = this.appStart - space.dataOffset;
+    let end = this.appEnd - space.dataOffset;
+
+    if((policy === 'trim' || policy === 'include') && 'function' === typeof(space.checksum.exact)) {
+      return space.checksum.exact(start, end, space.hexBlock, image);
+    }
+
+    return space.checksum(start, end, space.hexBlock, image);
+  }
+
+  // what to do with blocks that are partly inside the application space
+  boundaryPolicy() {
+
+    let policy = this.space.boundaryBlocks || 'skip';
+
+    if(['skip', 'trim', 'include', 'reject'].indexOf(policy) === -1) {
+      throw new Error('Unknown boundaryBlocks policy: ' + policy);
+    }
+
+    return policy;
+  }
+
+  // true if the target or space makes any validation problem an error.  The
+  // image is only validated once it has all been read, which in pipelined
+  // mode is after its blocks have been sent, so it must be read first.
+  validationIsFatal() {
+
+    let target = (this.target && this.target.target) || {};
+    let severity = Object.assign({}, target.validation, this.space.validation);
+
+    return Object.keys(severity).some((reason) => severity[reason] === 'error');
+  }
+
+  // true if the space changes the image once it has been loaded, so it
+  // cannot be divided into blocks while it is still being read
+  needsWholeImage() {
+
+    let space = this.space;
+
+    return 'function' === typeof(space.loadFilter) || !!(space.remap || space.includeRanges || space.excludeRanges || space.insertChecksum);
+  }
+
+  /**
+   * Reads the specified hex file and parses it into binary blocks
+   *
+   * See openImage() for the types of file that are accepted.
+   *
+   * @param      string|Readable|Buffer|object|MemoryImage  file  The file
+   * @param      {object}   options  The options
+   * @param      {number}   [options.baseAddress]  Address of a binary image (default 0)
+   * @return     Promise  resolves when the file has been parsed
+   */
+  importFile(file, options) {
+
+    let me = this;
+    let space = me.space;
+
+    me.pipeline = null;
+
+    // load file into a memory image, then divide it into blocks according
+    // to the desired block size
+    let opened;
+
+    try {
+      opened = me.openImage(file, options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    return opened.loader
+    .then(function(image) {
+
+      me.reportWarnings(opened.parser);
+      me.remapImage(image);
+      me.reportEntryPoint(image);
+
+      // if there is a filter to be applied while loading, do it
+      if('function' === typeof(me.space.loadFilter)) {
+        me.space.loadFilter(image, me.space);
+      }
+
+      me.applyRanges(image);
+      me.insertChecksums(image);
+
+      me.validation = [];
+
+      if(me.validateHexFile(image)) {
+
+        me.image = image;
+        me.sendList = [];
+        me.totalBlocks = 0;
+
+        // determine the CRC of the entire application space
+        // do this before filtering for just non-empty blocks, so we get the
+        // correct answer
+        me.computedCrc = me.computeChecksum(image);
+
+
+        // Filter for blocks we need to send
+        for(const item of image.blocks(space.hexBlock)) {
+
+          if(me.shouldSendBlock(item.index, item.data)) {
+            me.totalBlocks++;
+            me.sendList.push(item.index);
+          }
+        }
+
+      } else {
+        throw me.incompatibleError();
+      }
+    });
+
+  }
+
+  /**
+   * Starts loading the file, making blocks available to sendBlocks() as
+   * soon as they are complete
+   *
+   * The file must be written in ascending address order.  This cannot be
+   * used if the memory space changes the image once it is loaded (see
+   * needsWholeImage()), or if a validation problem is to be an error;
+   * importFile() is used instead.
+   *
+   * @param      string|Readable|Buffer|object  file  The file
+   * @param      {object}   options  The options, as for importFile()
+   * @return     Promise  resolves when loading has started
+   */
+  beginPipeline(file, options) {
+
+    let me = this;
+    let space = me.space;
+
+    if(me.needsWholeImage() || me.validationIsFatal() || file instanceof MemoryImage) {
+      me.emit('status', 'Pipelined loading is not possible; loading the whole file first');
+      return me.importFile(file, options);
+    }
+
+    let opened;
+
+    me.resetImage();
+
+    // a later load may replace this one before the file has been parsed, so
+    // the parse chain works with this pipeline, not whatever me.pipeline is then
+    let pipeline = new BlockPipeline(space, {
+      start: me.appStart - space.dataOffset,
+      end: me.appEnd - space.dataOffset,
+      shouldSend: function(index, block) { return me.shouldSendBlock(index, block); },
+      checksum: function(image) { return me.computeChecksum(image); },
+    });
+
+    me.pipeline = pipeline;
+
+    // the parser of a stream is only chosen once its format is known
+    try {
+      opened = me.openImage(file, options, function(parser) { pipeline.attach(parser); });
+    } catch (err) {
+      me.pipeline = null;
+      return Promise.reject(err);
+    }
+
+    opened.loader
+    .then(function(image) {
+
+      // the load was abandoned; leave the image of the one that replaced it alone
+      if(me.pipeline !== pipeline) {
+        return;
+      }
+
+      me.reportWarnings(opened.parser);
+      me.reportEntryPoint(image);
+
+      me.validation = [];
+
+      if(!me.validateHexFile(image)) {
+        throw me.incompatibleError();
+      }
+
+      me.image = image;
+      pipeline.finish(image);
+    })
+    .catch(function(err) {
+      pipeline.fail(err);
+    });
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Reads a block from the image and applies the space's send filter
+   *
+   * A block that is partly outside the application space is trimmed to it
+   * if the space's boundaryBlocks policy is 'trim'.
+   *
+   * @param      {number}  index   The index of the (hexBlock-sized) block
+   * @return     {Array}   The bytes of the DATA command
+   */
+  buildBlock(index) {
+
+    let space = this.space;
+
+    if(!this.isBlockInside(index) && this.boundaryPolicy() === 'trim') {
+
+      let part = this.blockPart(index);
+      let trimmed = this.image.read(part.start, part.end - part.start);
+
+      // the part does not start where the index says, so tell the filter its address
+      trimmed.address = part.start / space.addressing + space.dataOffset;
+
+      return space.sendFilter(index, trimmed, space.addressing, space.dataOffset);
+    }
+
+    let block = this.image.read(index * space.hexBlock, space.hexBlock);
+
+    return space.sendFilter(index, block, space.addressing, space.dataOffset);
+  }
+
+  /**
+   * Sends the DATA commands to the device
+   *
+   * In pipelined mode, blocks are sent as they become available while the
+   * file is still being parsed, and the checksum is known once all have
+   * been sent.
+   *
+   * @return     Promise  Resolves when all blocks have been sent
+   */
+  async sendBlocks() {
+
+    let me = this;
+    let pipeline = me.pipeline;
+
+    me.blocksCompleted = 0;
+
+    if(pipeline) {
+
+      // send blocks as the file is parsed
+      for(let index = await pipeline.next(); index !== null; index = await pipeline.next()) {
+        me.image = pipeline.image;
+        me.totalBlocks = pipeline.estimateTotal();
+        await me.sendAppBlock(index, me.buildBlock(index));
+      }
+
+      me.sendList = pipeline.sendList;
+      me.totalBlocks = pipeline.sendList.length;
+      me.computedCrc = pipeline.crc;
+
+    } else {
+
+      // send each block in turn, building the DATA command just before it is needed
+      for(const index of me.sendList) {
+        await me.sendAppBlock(index, me.buildBlock(index));
+      }
+    }
   }
 
 
@@ -8,17 +8,18 @@
  */
 
 const CRC = require('./crc16');
+const Split = require('./split');
 
 
 /**
  * Filter that runs after the data image is loaded from the HEX file
  *
- * The blocks object may be modified as necessary.
+ * The image may be modified as necessary.
  * 
- * @param      array  blocks  The data blocks parsed from the file
+ * @param      MemoryImage  image  The data parsed from the file
  * @param      object space   The corresponding memory space
  */
-function loadHmiAppFilter( blocks, space ) {
+function loadHmiAppFilter( image, space ) {
 
   // nothing is needed for now
   return;
@@ -31,13 +32,15 @@ function loadHmiAppFilter( blocks, space ) {
  * with 192 data bytes. This is needed for the HMI application space
  * 
  * @param number index indicates which block is being processed
- * @param array block contains the block to be processed
+ * @param array block contains the block to be processed.  If it is not where
+ *        the index puts it (eg part of a block at the edge of the application
+ *        space), block.address is its device address
  * @return array bytes to be sent to the device.
  */
 function sendHmiAppFilter( index, block, addressing, addressOffset ) {
 
   // Calculate the start address of the block (assumes all blocks are the same length)
-  let address = (index * block.length / addressing) + addressOffset;
+  let address = ('number' === typeof( block.address )) ? block.address : (index * block.length / addressing) + addressOffset;
 
   // start with 4-byte address, MSB first
   let bytesToSend = [  (address>>24) & 0xFF, (address>>16) & 0xFF, (address>>8) & 0xFF,  (address) & 0xFF ];
@@ -54,13 +57,25 @@ function sendHmiAppFilter( index, block, addressing, addressOffset ) {
   return bytesToSend;
 }
 
-function isPic24BlockEmpty( block ) {
+/**
+ * Check whether a block of PIC24 data is all erased
+ *
+ * Only the 3 bytes of each instruction word that are stored in the device
+ * are checked; the phantom byte (0x00 in the HEX file) is ignored.
+ *
+ * @param      {Array}   block      The block
+ * @param      {number}  fillValue  The erased value of the space (default 0xFF)
+ * @return     {boolean}  true if the block is empty
+ */
+function isPic24BlockEmpty( block, fillValue ) {
   if( typeof( block ) !== 'object' ) {
     return true;
   }
 
+  fillValue = ('number' === typeof( fillValue )) ? fillValue : 0xFF;
+
   for( let i = 0; i < block.length; i+=4 ) {
-    if( block[i] !== 0xFF || block[i+1] !== 0xFF || block[i+2] !== 0xff ) {
+    if( block[i] !== fillValue || block[i+1] !== fillValue || block[i+2] !== fillValue ) {
       return false;
     }
   }
@@ -77,10 +92,10 @@ function isPic24BlockEmpty( block ) {
  * @param      {(number|string)}  start      The start
  * @param      {number}           end        The end
  * @param      {<type>}           blockSize  The block size
- * @param      {<type>}           blocks     The blocks
+ * @param      {MemoryImage}      image      The memory image
  * @return     {(number|string)}  The hmi application checksum.
  */
-function computeHmiAppChecksum( start, end, blockSize, blocks ) {
+function computeHmiAppChecksum( start, end, blockSize, image ) {
   return 0;
 }
 
@@ -91,13 +106,15 @@ function computeHmiAppChecksum( start, end, blockSize, blocks ) {
  * with 256 data bytes. This is typical for simple bytewise memory spaces
  * 
  * @param number index indicates which block is being processed
- * @param array block contains the block to be processed
+ * @param array block contains the block to be processed.  If it is not where
+ *        the index puts it (eg part of a block at the edge of the application
+ *        space), block.address is its device address
  * @return array bytes to be sent to the device.
  */
 function sendSimpleFilter( index, block, addressing, addressOffset ) {
 
   // Calculate the start address of the block (assumes all blocks are the same length)
-  let address = (index * block.length / addressing) + addressOffset;
+  let address = ('number' === typeof( block.address )) ? block.address : (index * block.length / addressing) + addressOffset;
 
   // start with  4-byte address, MSB first
   let bytesToSend = [ (address>>24) & 0xFF, (address>>16) & 0xFF, (address>>8) & 0xFF,  (address) & 0xFF ];
@@ -112,15 +129,15 @@ function sendSimpleFilter( index, block, addressing, addressOffset ) {
 /**
  * Filter that runs after the data image is loaded from the HEX file
  *
- * The blocks object may be modified as necessary.
+ * The image may be modified as necessary.
  * 
- * @param      array  blocks  The data blocks parsed from the file
+ * @param      MemoryImage  image  The data parsed from the file
  * @param      object space   The corresponding memory space
  */
 
-function loadSimpleFilter(blocks, space) {
-  // If the space has exclude block ranges defined, remove those blocks from the
-  // the block array.
+function loadSimpleFilter(image, space) {
+  // If the space has exclude block ranges defined, remove the data in those
+  // blocks from the image.
   //
   // This is particularly useful for PIC16-based controllers, where the application
   // code and EEPROM contents are combined in a single memory space furnished
@@ -134,14 +151,14 @@ function loadSimpleFilter(blocks, space) {
   //
   // By doing this here and not later in ModbusBootloader::importFile(), we
   // ensure that checksums are calculated correctly.
+  //
+  // New space definitions should use excludeRanges (by device address)
+  // instead, which does not depend on hexBlock.
 
-  if ((space.excludeBlocks) && (space.excludeBlocks.length > 0)) {
-    for (let blockRange of space.excludeBlocks) {
+  if (space.excludeBlocks) {
+    for (let blockRange of [].concat(space.excludeBlocks)) {
       if (blockRange.exclude) {
-        for (let i = blockRange.start; i <= blockRange.end; i++) {
-          console.log(`loadSimpleFilter: Excluding block in ${blockRange.name} range`, i);
-          blocks[i] = undefined;
-        }
+        image.remove(blockRange.start * space.hexBlock, (blockRange.end + 1) * space.hexBlock);
       }
     }
   }
@@ -151,13 +168,22 @@ function loadSimpleFilter(blocks, space) {
 
 
 
-function isSimpleBlockEmpty( block ) {
+/**
+ * Check whether a block is all erased
+ *
+ * @param      {Array}   block      The block
+ * @param      {number}  fillValue  The erased value of the space (default 0xFF)
+ * @return     {boolean}  true if the block is empty
+ */
+function isSimpleBlockEmpty( block, fillValue ) {
   if( typeof( block ) !== 'object' ) {
     return true;
   }
 
+  fillValue = ('number' === typeof( fillValue )) ? fillValue : 0xFF;
+
   for( let i = 0; i < block.length; i++ ) {
-    if( block[i] !== 0xFF ) {
+    if( block[i] !== fillValue ) {
       return false;
     }
   }
@@ -167,45 +193,117 @@ function isSimpleBlockEmpty( block ) {
 
 
 
+/**
+ * Adds one block of the memory image to a CRC
+ *
+ * Missing bytes read back as the image's fill value (the space's
+ * fillValue, normally 0xFF), as they will be in the device.  This allows the checksum to be built up block by block
+ * while the image is still being loaded.
+ *
+ * @param      {number}  crc         The CRC so far
+ * @param      {number}  blockIndex  The index of the block
+ * @param      {number}  blockSize   The block size
+ * @param      {MemoryImage}  image  The memory image
+ * @return     {number}  The updated CRC
+ */
+function updateSimpleChecksum( crc, blockIndex, blockSize, image ) {
+
+  image.read( blockIndex * blockSize, blockSize ).forEach( function( byte ) {
+    crc = CRC.update( crc, byte );
+  });
+
+  return crc;
+}
+
 /**
  * Calculates a CRC over the entire memory space
  *
- * Fills in '0xFF' for any missing bytes
+ * Fills in the image's fill value (normally 0xFF) for any missing bytes.
+ * Whole blocks are used: one for each blockSize bytes of the range, starting
+ * with the block that holds the start address.
  * 
  * @param      {number}  start      The start memory address
- * @param      {number}  end        The end memory address
+ * @param      {number}  end        The end memory address (exclusive)
  * @param      {number}  blockSize  The block size
- * @param      {<type>}  blocks     The memory blocks
+ * @param      {MemoryImage}  image  The memory image
  * @return     {number}  The resulting checksum
  */
-function computeSimpleChecksum( start, end, blockSize, blocks ) {
+function computeSimpleChecksum( start, end, blockSize, image ) {
 
   let crc = 0xFFFF;
 
-  // updates the CRC with the next byte
-  function updateByte( byte ){
-
-    crc = CRC.update( crc, byte );
-  //  console.log( byte, crc );
+  for( let i=start; i < end; i += blockSize ) {
+    crc = updateSimpleChecksum( crc, Math.floor( i / blockSize ), blockSize, image );
   }
 
+  return crc;
+}
+
+/**
+ * Calculates a CRC over exactly the range, which need not be a whole number
+ * of blocks.  This is used when the blocks at the edges of the application
+ * space are trimmed or included.
+ *
+ * Fills in the image's fill value (normally 0xFF) for any missing bytes.
+ *
+ * @param      {number}  start      The start memory address
+ * @param      {number}  end        The end memory address (exclusive)
+ * @param      {number}  blockSize  The block size
+ * @param      {MemoryImage}  image  The memory image
+ * @return     {number}  The resulting checksum
+ */
+function computeSimpleRangeChecksum( start, end, blockSize, image ) {
+
+  let crc = 0xFFFF;
+
   for( let i=start; i < end; i += blockSize ) {
+    crc = updateCrc( crc, image.read( i, Math.min( blockSize, end - i )));
+  }
 
-    let blockIndex = Math.floor( i / blockSize);
+  return crc;
+}
 
-    if( 'undefined' === typeof( blocks[blockIndex])) {
-      // no data in block; it will be all FFs in the device
-      for( let j = 0; j < blockSize; j++ ) {
-        crc = CRC.update( crc, 0xFF );
-      }
-    }
-    else {
-      //console.log( blockIndex, blocks[blockIndex] );
-      // there is data in the block; update the crc
-      blocks[blockIndex].forEach( updateByte );
+// Adds some bytes to a CRC
+function updateCrc( crc, bytes ) {
 
-    }
+  bytes.forEach( function( byte ) {
+    crc = CRC.update( crc, byte );
+  });
 
+  return crc;
+}
+
+// allows the checksum to be calculated incrementally, or over exactly the range
+computeSimpleChecksum.update = updateSimpleChecksum;
+computeSimpleChecksum.exact = computeSimpleRangeChecksum;
+
+
+/**
+ * Adds one block of the memory image to a CRC, unless the block is
+ * missing or empty
+ *
+ * @param      {number}  crc         The CRC so far
+ * @param      {number}  blockIndex  The index of the block
+ * @param      {number}  blockSize   The block size
+ * @param      {MemoryImage}  image  The memory image
+ * @return     {number}  The updated CRC
+ */
+function updateSimpleChecksumNoFill( crc, blockIndex, blockSize, image ) {
+
+  return updateRangeNoFill( crc, blockIndex * blockSize, (blockIndex + 1) * blockSize, image );
+}
+
+// Adds part of a block to a CRC, unless it is missing or empty
+function updateRangeNoFill( crc, start, end, image ) {
+
+  if( image.hasData( start, end - start )) {
+
+    let block = image.read( start, end - start );
+
+    if( !isSimpleBlockEmpty( block, image.fillValue )) {
+      // there is data in the block; update the crc
+      crc = updateCrc( crc, block );
+    }
   }
 
   return crc;
@@ -214,40 +312,53 @@ function computeSimpleChecksum( start, end, blockSize, blocks ) {
 /**
  * Calculates a CRC over the memory space, but skips missing or empty blocks
  *
+ * Whole blocks are used, as for computeSimpleChecksum().
+ *
  * @param      {number}  start      The start memory address
- * @param      {number}  end        The end memory address
+ * @param      {number}  end        The end memory address (exclusive)
  * @param      {number}  blockSize  The block size
- * @param      {<type>}  blocks     The memory blocks
+ * @param      {MemoryImage}  image  The memory image
  * @return     {number}  The resulting checksum
  */
-function computeSimpleChecksumNoFill( start, end, blockSize, blocks ) {
+function computeSimpleChecksumNoFill( start, end, blockSize, image ) {
 
   let crc = 0xFFFF;
 
-  // updates the CRC with the next byte
-  function updateByte( byte, index ){
-
-    crc = CRC.update( crc, byte );
-    //console.log( index, byte.toString(16), crc.toString(16) );
+  for( let i=start; i < end; i += blockSize ) {
+    crc = updateSimpleChecksumNoFill( crc, Math.floor( i / blockSize ), blockSize, image );
   }
 
-  for( let i=start; i < end; i += blockSize ) {
-    let blockIndex = Math.floor( i / blockSize);
+  return crc;
+}
 
-    if( 'undefined' !== typeof( blocks[blockIndex]) && !isSimpleBlockEmpty( blocks[blockIndex])) {
+/**
+ * Calculates a CRC over exactly the range, but skips missing or empty blocks
+ *
+ * If the range does not start or end on a block boundary, only the part of
+ * the first or last block that is inside it is used.
+ *
+ * @param      {number}  start      The start memory address
+ * @param      {number}  end        The end memory address (exclusive)
+ * @param      {number}  blockSize  The block size
+ * @param      {MemoryImage}  image  The memory image
+ * @return     {number}  The resulting checksum
+ */
+function computeSimpleRangeChecksumNoFill( start, end, blockSize, image ) {
 
-     //console.log('CRC', blockIndex, i.toString(16),  crc.toString(16) );
-     //console.log( blockIndex, blocks[blockIndex] );
-      // there is data in the block; update the crc
-      blocks[blockIndex].forEach( updateByte );
+  let crc = 0xFFFF;
 
-    }
+  for( let i = Math.floor( start / blockSize ) * blockSize; i < end; i += blockSize ) {
 
+    crc = updateRangeNoFill( crc, Math.max( i, start ), Math.min( i + blockSize, end ), image );
   }
-//process.exit(0);
+
   return crc;
 }
 
+// allows the checksum to be calculated incrementally, or over exactly the range
+computeSimpleChecksumNoFill.update = updateSimpleChecksumNoFill;
+computeSimpleChecksumNoFill.exact = computeSimpleRangeChecksumNoFill;
+
 
 
 let TARGET_DEFAULTS = {
@@ -255,6 +366,10 @@ let TARGET_DEFAULTS = {
   supportsPassThru: false,
   skipEmptyBlocks: true,
   code: 'any',
+
+  // the value of erased memory, and of any address the image does not
+  // fill in.  Can be overridden for each space.
+  fillValue: 0xFF,
   type: '',
 
   // add this to the address value in the hex file, before sending
@@ -292,7 +407,7 @@ class DefaultBootloaderTarget {
   
     let me = this;
 
-    me.target = Object.assign( TARGET_DEFAULTS, target );
+    me.target = Object.assign( {}, TARGET_DEFAULTS, target );
     me.spaces = spaces || [ SPACE_DEFAULT ];
 
     me.spaces.forEach( function( space ){
@@ -306,6 +421,7 @@ class DefaultBootloaderTarget {
       space.dataRetries = space.dataRetries || me.target.dataRetries;
       space.dataOffset = space.dataOffset || 0;
       space.skipEmptyBlocks = space.skipEmptyBlocks || me.target.skipEmptyBlocks;
+      space.fillValue = ('number' === typeof( space.fillValue )) ? space.fillValue : me.target.fillValue;
     });
 
     me.productCode = me.target.code + me.target.type;
@@ -328,6 +444,18 @@ class DefaultBootloaderTarget {
     return true;
   }
 
+  /**
+   * Divide a combined image (eg a PIC18 HEX file with program memory, EEPROM
+   * and configuration words) into one image for each space, by the HEX file
+   * address ranges each space declares in its hexRanges.
+   *
+   * @param      {MemoryImage}  image   The combined image
+   * @return     {object}  { images, unrouted }; see lib/split.js
+   */
+  split( image ) {
+    return Split.splitImage( image, this.spaces );
+  }
+
 }
 
 class DefaultPic18Target extends DefaultBootloaderTarget {
@@ -438,6 +566,7 @@ class CS1435Target extends DefaultBootloaderTarget {
         hexBlock: 256,
         sendBlock: 192,
         addressing: 2,
+        phantomBytes: true,
         loadFilter: loadHmiAppFilter,
         sendFilter: sendHmiAppFilter,
         checksum: computeHmiAppChecksum,
@@ -475,6 +604,21 @@ class CS1435Target extends DefaultBootloaderTarget {
 
 
 
+/**
+ * Copy the include and exclude ranges (and the older excludeBlocks) from the
+ * options to a space
+ *
+ * @param      {object}  space          The space
+ * @param      {object}  options        The options passed to the space's constructor
+ * @param      {Array}   excludeRanges  The space's default excludeRanges, if any
+ */
+function setRanges( space, options, excludeRanges ) {
+  space.excludeBlocks = options.excludeBlocks || undefined;
+  space.includeRanges = options.includeRanges;
+  space.excludeRanges = options.excludeRanges || excludeRanges;
+}
+
+
 /**
  * Class with bootloader parameters for a PIC24 device space
  *
@@ -490,10 +634,14 @@ class PIC24Application {
     this.sendBlock = options.sendBlock || 192;
    
     this.addressing = 2;
+
+    // every 4th byte in the HEX file is not stored in the device
+    this.phantomBytes = true;
     this.loadFilter = loadHmiAppFilter;
     this.sendFilter = sendHmiAppFilter;
     this.checksum = computeHmiAppChecksum;
     this.blockIsEmpty = isPic24BlockEmpty;
+    this.fillValue = options.fillValue;
 
     this.selectTimeout= options.selectTimeout || TARGET_DEFAULTS.selectTimeout;
     this.eraseTimeout= options.eraseTimeout || TARGET_DEFAULTS.eraseTimeout;
@@ -502,7 +650,7 @@ class PIC24Application {
     this.verifyTimeout= options.verifyTimeout || TARGET_DEFAULTS.verifyTimeout;
     this.finishTimeout= options.finishTimeout || TARGET_DEFAULTS.finishTimeout;
 
-    this.excludeBlocks = options.excludeBlocks || undefined;
+    setRanges( this, options );
   }
 }
 
@@ -524,6 +672,7 @@ class PIC18Application {
     this.sendFilter = sendSimpleFilter;
     this.checksum = computeSimpleChecksum;
     this.blockIsEmpty = isSimpleBlockEmpty;
+    this.fillValue = options.fillValue;
 
     this.enquireTimeout= options.enquireTimeout || TARGET_DEFAULTS.enquireTimeout;
     this.selectTimeout= options.selectTimeout || TARGET_DEFAULTS.selectTimeout;
@@ -533,7 +682,10 @@ class PIC18Application {
     this.verifyTimeout= options.verifyTimeout || TARGET_DEFAULTS.verifyTimeout;
     this.finishTimeout= options.finishTimeout || TARGET_DEFAULTS.finishTimeout;
 
-    this.excludeBlocks = options.excludeBlocks || undefined;
+    setRanges( this, options );
+
+    // program memory, in a combined HEX file
+    this.hexRanges = options.hexRanges || [ { start: 0, end: 0x200000 } ];
 
   }
 }
@@ -559,6 +711,7 @@ class PIC18Eeprom {
     this.sendFilter = sendSimpleFilter;
     this.checksum = computeSimpleChecksum;
     this.blockIsEmpty = isSimpleBlockEmpty;
+    this.fillValue = options.fillValue;
 
     this.selectTimeout= options.selectTimeout || TARGET_DEFAULTS.selectTimeout;
     this.eraseTimeout= options.eraseTimeout || TARGET_DEFAULTS.eraseTimeout;
@@ -567,7 +720,10 @@ class PIC18Eeprom {
     this.verifyTimeout= options.verifyTimeout || TARGET_DEFAULTS.verifyTimeout;
     this.finishTimeout= options.finishTimeout || TARGET_DEFAULTS.finishTimeout;
 
-    this.excludeBlocks = options.excludeBlocks || undefined;
+    setRanges( this, options );
+
+    // the EEPROM part of a combined HEX file
+    this.hexRanges = options.hexRanges || [ { start: -this.dataOffset, end: 0x10000 - this.dataOffset } ];
 
   }
 }
@@ -591,6 +747,7 @@ class W25ExtFlash {
     this.sendFilter = sendSimpleFilter;
     this.checksum = computeSimpleChecksum;
     this.blockIsEmpty = isSimpleBlockEmpty;
+    this.fillValue = options.fillValue;
 
     this.selectTimeout= options.selectTimeout || TARGET_DEFAULTS.selectTimeout;
     this.eraseTimeout= options.eraseTimeout || 60000;
@@ -599,7 +756,7 @@ class W25ExtFlash {
     this.verifyTimeout= options.verifyTimeout || 60000;
     this.finishTimeout= options.finishTimeout || TARGET_DEFAULTS.finishTimeout;
 
-    this.excludeBlocks = options.excludeBlocks || undefined;
+    setRanges( this, options );
 
   }
 }
@@ -623,6 +780,7 @@ class PIC16TinyBL {
     this.loadFilter = loadSimpleFilter;
     this.checksum = computeSimpleChecksumNoFill;
     this.blockIsEmpty = isSimpleBlockEmpty;
+    this.fillValue = options.fillValue;
     this.dataOffset = options.dataOffset || 0;
 
     this.selectTimeout= options.selectTimeout || TARGET_DEFAULTS.selectTimeout;
@@ -633,10 +791,8 @@ class PIC16TinyBL {
     this.verifyTimeout= options.verifyTimeout || TARGET_DEFAULTS.verifyTimeout;
     this.finishTimeout= options.finishTimeout || TARGET_DEFAULTS.finishTimeout;
 
-    this.excludeBlocks = options.excludeBlocks || { name: "EEPROM",
-                                                    start: 0x780,
-                                                    end: 0x787,
-                                                    exclude: true };
+    // the EEPROM contents are in the same HEX file, but are not loaded
+    setRanges( this, options, [ { name: 'EEPROM', start: 0xF000 + this.dataOffset, end: 0xF100 + this.dataOffset } ] );
   }
 }
 
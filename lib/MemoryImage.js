@@ -0,0 +1,422 @@
+/**
+ * A sparse memory image
+ *
+ * Holds the data read from an image file as a sorted list of address
+ * ranges, each stored in a Buffer.  Addresses are in the same units as
+ * the image file (eg bytes in a HEX file), and any address that has not
+ * been written reads back as the fill value.
+ */
+
+const EMPTY_VALUE = 0xFF;
+
+// the largest buffer we will allocate for one range.  Longer runs of data
+// are split across several (adjacent) ranges so we never have to copy huge
+// buffers
+const MAX_SEGMENT_SIZE = 0x100000;
+
+// size of the temporary buffer used by fill()
+const FILL_CHUNK_SIZE = 0x10000;
+
+
+class MemoryImage {
+
+  constructor( options ) {
+    options = options || {};
+
+    let me = this;
+
+    // value of any byte that has not been written
+    me.fillValue = ('number' === typeof( options.fillValue )) ? options.fillValue : EMPTY_VALUE;
+
+    // execution start address, if known
+    me.entryPoint = null;
+
+    // sorted, non-overlapping list of { address, buffer, length }, where
+    // buffer may have 'spare' unused bytes in front of it to grow into
+    me.segments = [];
+  }
+
+
+  // Returns the index of the last segment that starts at or below the
+  // address, or -1 if there is none
+  findSegment( address ) {
+
+    let low = 0;
+    let high = this.segments.length - 1;
+    let result = -1;
+
+    while( low <= high ) {
+      let mid = (low + high) >> 1;
+
+      if( this.segments[mid].address <= address ) {
+        result = mid;
+        low = mid + 1;
+      }
+      else {
+        high = mid - 1;
+      }
+    }
+
+    return result;
+  }
+
+
+  // Returns the index of the first segment that contains data at or above the address
+  firstSegmentFrom( address ) {
+
+    let index = this.findSegment( address );
+
+    if( index < 0 ) {
+      return 0;
+    }
+
+    let segment = this.segments[index];
+
+    return ( address < segment.address + segment.length ) ? index : index + 1;
+  }
+
+
+  // Make sure the segment's buffer can hold at least 'size' bytes
+  growSegment( segment, size ) {
+
+    if( segment.buffer.length < size ) {
+      let capacity = Math.min( MAX_SEGMENT_SIZE, Math.max( size, segment.buffer.length * 2 ));
+      let buffer = Buffer.allocUnsafe( capacity );
+
+      segment.buffer.copy( buffer, 0, 0, segment.length );
+      segment.buffer = buffer;
+      segment.spare = 0;
+    }
+  }
+
+
+  // Store bytes just below the segment, growing its buffer downwards.  The
+  // new buffer leaves spare room in front, so data written in descending
+  // order is not copied every time
+  prependToSegment( segment, bytes ) {
+
+    let count = bytes.length;
+
+    if( (segment.spare || 0) < count ) {
+      let capacity = Math.min( MAX_SEGMENT_SIZE, Math.max( segment.length + count, segment.length * 2 ));
+      let store = Buffer.allocUnsafe( capacity );
+      let spare = capacity - segment.length;
+
+      segment.buffer.copy( store, spare, 0, segment.length );
+      segment.buffer = store.subarray( spare );
+      segment.spare = spare;
+    }
+
+    let buffer = segment.buffer;
+
+    segment.buffer = Buffer.from( buffer.buffer, buffer.byteOffset - count, buffer.length + count );
+    segment.buffer.set( bytes, 0 );
+    segment.address -= count;
+    segment.length += count;
+    segment.spare -= count;
+  }
+
+
+  /**
+   * Store bytes in the image, replacing any existing data at those addresses
+   *
+   * @param      {number}  address  The address of the first byte
+   * @param      {Buffer|Uint8Array|Array}  bytes  The data
+   */
+  write( address, bytes ) {
+
+    let me = this;
+
+    if( !(bytes instanceof Uint8Array )) {
+      bytes = Buffer.from( bytes );
+    }
+
+    let pos = 0;
+
+    while( pos < bytes.length ) {
+
+      let current = address + pos;
+      let index = me.findSegment( current );
+      let segment = me.segments[index];
+      let count;
+
+      if( segment && current < segment.address + segment.length ) {
+
+        // overwrite data that is already there
+        count = Math.min( bytes.length - pos, segment.address + segment.length - current );
+        segment.buffer.set( bytes.subarray( pos, pos + count ), current - segment.address );
+      }
+      else {
+        count = me.writeAfter( index, current, bytes.subarray( pos ));
+      }
+
+      pos += count;
+    }
+  }
+
+
+  // Store bytes at an address that is after segment[index] (if any) and not
+  // in it, by extending that segment or the next one, or adding a new one.
+  // Returns the number of bytes stored, which stops short of the next segment.
+  writeAfter( index, address, bytes ) {
+
+    let me = this;
+    let segment = me.segments[index];
+    let next = me.segments[index + 1];
+    let count = bytes.length;
+
+    // don't run into the next segment
+    if( next ) {
+      count = Math.min( count, next.address - address );
+    }
+
+    if( segment && segment.address + segment.length === address && segment.length < MAX_SEGMENT_SIZE ) {
+
+      // extend the preceding segment
+      count = Math.min( count, MAX_SEGMENT_SIZE - segment.length );
+      me.growSegment( segment, segment.length + count );
+      segment.buffer.set( bytes.subarray( 0, count ), segment.length );
+      segment.length += count;
+    }
+    else if( next && address + count === next.address && next.length + count <= MAX_SEGMENT_SIZE ) {
+
+      // extend the next segment downwards (eg records stored in descending order)
+      me.prependToSegment( next, bytes.subarray( 0, count ));
+    }
+    else {
+
+      // a new segment only holds what is written; growSegment() makes room
+      // for more if it is extended
+      count = Math.min( count, MAX_SEGMENT_SIZE );
+
+      let buffer = Buffer.allocUnsafe( count );
+      buffer.set( bytes.subarray( 0, count ), 0 );
+
+      me.segments.splice( index + 1, 0, { address: address, buffer: buffer, length: count, spare: 0 } );
+    }
+
+    return count;
+  }
+
+
+  /**
+   * Read bytes from the image.  Addresses with no data return the fill value
+   *
+   * @param      {number}  address  The address of the first byte
+   * @param      {number}  length   The number of bytes
+   * @return     {Buffer}  The data
+   */
+  read( address, length ) {
+
+    let me = this;
+    let result = Buffer.alloc( length, me.fillValue );
+    let end = address + length;
+
+    for( let i = me.firstSegmentFrom( address ); i < me.segments.length; i++ ) {
+
+      let segment = me.segments[i];
+
+      if( segment.address >= end ) {
+        break;
+      }
+
+      let from = Math.max( address, segment.address );
+      let to = Math.min( end, segment.address + segment.length );
+
+      segment.buffer.copy( result, from - address, from - segment.address, to - segment.address );
+    }
+
+    return result;
+  }
+
+
+  /**
+   * Check whether any byte in a range has been written
+   *
+   * @param      {number}   address  The start address
+   * @param      {number}   length   The number of bytes
+   * @return     {boolean}  True if there is data in the range
+   */
+  hasData( address, length ) {
+
+    let segment = this.segments[ this.firstSegmentFrom( address )];
+
+    return !!segment && segment.address < address + length;
+  }
+
+
+  /**
+   * Find the first address at or above the given one that holds data
+   *
+   * @param      {number}  address  The address
+   * @return     {number|null}  The address, or null if there is no more data
+   */
+  nextDataAddress( address ) {
+
+    let segment = this.segments[ this.firstSegmentFrom( address )];
+
+    return segment ? Math.max( address, segment.address ) : null;
+  }
+
+
+  /**
+   * Write a value to every address in a range (including unwritten ones)
+   *
+   * @param      {number}  start   The start address
+   * @param      {number}  end     The end address (exclusive)
+   * @param      {number}  [value]  The value (defaults to the fill value)
+   */
+  fill( start, end, value ) {
+
+    if( 'number' !== typeof( value )) {
+      value = this.fillValue;
+    }
+
+    let chunk = Buffer.alloc( Math.min( FILL_CHUNK_SIZE, Math.max( end - start, 0 )), value );
+
+    for( let address = start; address < end; address += chunk.length ) {
+      this.write( address, chunk.subarray( 0, Math.min( chunk.length, end - address )));
+    }
+  }
+
+
+  /**
+   * Discard any data in a range, so it reads back as the fill value
+   *
+   * @param      {number}  start   The start address
+   * @param      {number}  end     The end address (exclusive)
+   */
+  remove( start, end ) {
+
+    let me = this;
+    let index = me.firstSegmentFrom( start );
+
+    while( index < me.segments.length && me.segments[index].address < end ) {
+
+      let segment = me.segments[index];
+      let segmentEnd = segment.address + segment.length;
+      let pieces = [];
+
+      if( segment.address < start ) {
+        // keep the front part in the same buffer
+        pieces.push( { address: segment.address, buffer: segment.buffer, length: start - segment.address } );
+      }
+
+      if( segmentEnd > end ) {
+        // the tail gets its own buffer, so the front part can grow safely
+        let tail = Buffer.from( segment.buffer.subarray( end - segment.address, segment.length ));
+        pieces.push( { address: end, buffer: tail, length: tail.length } );
+      }
+
+      me.segments.splice( index, 1, ...pieces );
+      index += pieces.length;
+    }
+  }
+
+
+  // Returns an independent copy of the image
+  clone() {
+
+    let copy = new MemoryImage( { fillValue: this.fillValue } );
+
+    copy.entryPoint = this.entryPoint;
+    copy.segments = this.segments.map( function( segment ) {
+      return { address: segment.address, buffer: Buffer.from( segment.buffer.subarray( 0, segment.length )), length: segment.length };
+    });
+
+    return copy;
+  }
+
+
+  /**
+   * Returns the populated address ranges.  Adjacent data is combined
+   *
+   * @return     {Array}  list of { address, length }
+   */
+  ranges() {
+
+    let result = [];
+
+    this.segments.forEach( function( segment ) {
+
+      let last = result[ result.length - 1 ];
+
+      if( last && last.address + last.length === segment.address ) {
+        last.length += segment.length;
+      }
+      else {
+        result.push( { address: segment.address, length: segment.length } );
+      }
+    });
+
+    return result;
+  }
+
+
+  /**
+   * Returns the stored data without copying it
+   *
+   * @return     {Array}  list of { address, data } where data is a Buffer
+   */
+  chunks() {
+
+    return this.segments.map( function( segment ) {
+      return { address: segment.address, data: segment.buffer.subarray( 0, segment.length ) };
+    });
+  }
+
+
+  // total number of bytes that have been written
+  byteCount() {
+    return this.segments.reduce( function( total, segment ) { return total + segment.length; }, 0 );
+  }
+
+
+  isEmpty() {
+    return this.segments.length === 0;
+  }
+
+
+  /**
+   * Generates the blocks of a fixed size that contain data
+   *
+   * Only blocks that contain some data are produced; missing bytes in those
+   * blocks are set to the fill value.  Blocks are read as they are requested,
+   * so a large image is never copied all at once.
+   *
+   * @param      {number}  blockSize  The block size
+   * @return     {Iterator}  of { index, address, data } in address order
+   */
+  *blocks( blockSize ) {
+
+    let lastIndex = -1;
+
+    for( let i = 0; i < this.segments.length; i++ ) {
+
+      let segment = this.segments[i];
+      let first = Math.max( lastIndex + 1, Math.floor( segment.address / blockSize ));
+      let last = Math.floor( (segment.address + segment.length - 1) / blockSize );
+
+      for( let index = first; index <= last; index++ ) {
+        yield { index: index, address: index * blockSize, data: this.read( index * blockSize, blockSize ) };
+      }
+
+      lastIndex = Math.max( lastIndex, last );
+    }
+  }
+
+
+  /**
+   * Divide the image into blocks of a fixed size
+   *
+   * @param      {number}  blockSize  The block size
+   * @return     {Array}  list of { index, address, data } in address order
+   */
+  toBlocks( blockSize ) {
+
+    return Array.from( this.blocks( blockSize ));
+  }
+
+}
+
+module.exports = MemoryImage;
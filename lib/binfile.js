@@ -0,0 +1,79 @@
+/**
+ * Handles raw binary image files
+ *
+ * A binary file has no address information, so the bytes are placed
+ * starting at baseAddress (in the same units as a HEX file address).
+ * The result is the same MemoryImage that HexFile produces.
+ */
+
+const HexFile = require('./intelhex');
+
+
+module.exports = class BinaryFile extends HexFile {
+
+  constructor() {
+
+    super();
+
+    let me = this;
+
+    me.fileType = 'binary';
+
+    // the address of the first byte of the file
+    me.baseAddress = 0;
+
+    // number of bytes read so far
+    me.bytesInFile = 0;
+  }
+
+
+  reset() {
+    super.reset();
+
+    this.bytesInFile = 0;
+  }
+
+
+  // Reads a stream of bytes into a MemoryImage
+  // Returns a promise that resolves when the entire stream is read
+  loadStream( stream, options ) {
+
+    let me = this;
+
+    options = options || {};
+
+    return new Promise( function( resolve, reject ) {
+
+      me.reset();
+      me.totalBytes = options.size || null;
+      me.trackProgress( stream );
+
+      stream.on('data', function( chunk ) {
+        me.writeData( me.baseAddress + me.bytesInFile, chunk );
+        me.bytesInFile += chunk.length;
+      });
+
+      stream.on('error', function( cause ) {
+        reject( me.readError( cause ));
+      });
+
+      stream.on('end', function() {
+        resolve( me.finish() );
+      });
+
+    });
+  }
+
+
+  // Loads a Buffer or Uint8Array that is already in memory
+  loadBuffer( buf ) {
+
+    this.reset();
+
+    this.writeData( this.baseAddress, buf );
+    this.bytesInFile = buf.length;
+
+    return Promise.resolve( this.finish() );
+  }
+
+};
@@ -0,0 +1,229 @@
+/**
+ * Inserts a checksum or CRC into a memory image, as hexmate's -CK option does
+ *
+ * The value is calculated over a range of the image and written at another
+ * address, so the firmware can check itself at run time even if the build
+ * did not insert the value.  Addresses are device addresses, converted to
+ * image (HEX file) addresses with the addressing and dataOffset options as
+ * for a memory space; with neither they are the same.  Missing bytes in the
+ * range are counted as the image's fill value, as they will read in the
+ * device, except that the phantom byte of each PIC24 instruction word (if
+ * the phantomBytes option is set) is always counted as 0x00.
+ *
+ * Algorithms:
+ *
+ *   'sum'          the sum of the bytes
+ *   'sum-negated'  the two's complement of the sum, so that the sum plus
+ *                  the checksum is zero (to the width of the checksum)
+ *   'crc16'        CRC-16 (polynomial 0xA001 reflected, initial value
+ *                  0xFFFF) as used by the bootloader's VERIFY command
+ *   'crc32'        the CRC-32 used by zip and Ethernet
+ */
+
+const CRC = require('./crc16');
+const hex = require('./util').hex;
+
+const ALGORITHMS = [ 'sum', 'sum-negated', 'crc16', 'crc32' ];
+
+// the CRC-32 lookup table, built when first needed
+let crc32Table = null;
+
+
+function updateCrc32( crc, bytes ) {
+
+  if( !crc32Table ) {
+    crc32Table = [];
+
+    for( let i = 0; i < 256; i++ ) {
+      let c = i;
+
+      for( let j = 0; j < 8; j++ ) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+
+      crc32Table[i] = c >>> 0;
+    }
+  }
+
+  for( let i = 0; i < bytes.length; i++ ) {
+    crc = crc32Table[ (crc ^ bytes[i]) & 0xFF ] ^ (crc >>> 8);
+  }
+
+  return crc >>> 0;
+}
+
+
+// the image address of a device address
+function imageAddress( address, options ) {
+  return (address - (options.dataOffset || 0)) * (options.addressing || 1);
+}
+
+
+// the starting value of a checksum
+function initialValue( algorithm, options ) {
+
+  if( 'number' === typeof( options.initial )) {
+    return options.initial;
+  }
+
+  return { crc16: 0xFFFF, crc32: 0xFFFFFFFF }[ algorithm ] || 0;
+}
+
+
+// add some bytes to a checksum
+function updateValue( algorithm, value, bytes ) {
+
+  if( algorithm === 'crc32' ) {
+    return updateCrc32( value, bytes );
+  }
+
+  for( let i = 0; i < bytes.length; i++ ) {
+    value = (algorithm === 'crc16') ? CRC.update( value, bytes[i] ) : (value + bytes[i]) >>> 0;
+  }
+
+  return value;
+}
+
+
+// read part of the image, with the phantom bytes as 0x00 if the options say
+// there are any
+function readBytes( image, start, length, options ) {
+
+  let bytes = image.read( start, length );
+
+  if( options.phantomBytes ) {
+    for( let i = (3 - start % 4); i < bytes.length; i += 4 ) {
+      bytes[i] = 0;
+    }
+  }
+
+  return bytes;
+}
+
+
+/**
+ * Calculate a checksum over a range of the image
+ *
+ * @param      {MemoryImage}  image    The image
+ * @param      {object}       options  The options, as for insertChecksum()
+ * @return     {number}  The checksum, truncated to options.width bytes
+ */
+function computeChecksum( image, options ) {
+
+  let algorithm = options.algorithm || 'crc16';
+  let width = options.width || 2;
+  let mask = (width >= 4) ? 0xFFFFFFFF : ((1 << (width * 8)) - 1);
+  let start = imageAddress( options.start, options );
+  let end = imageAddress( options.end, options );
+
+  if( ALGORITHMS.indexOf( algorithm ) === -1 ) {
+    throw new Error( 'Unknown checksum algorithm: ' + algorithm );
+  }
+
+  if( isNaN( start ) || isNaN( end ) || end <= start ) {
+    throw new Error( 'The checksum range is empty' );
+  }
+
+  let value = initialValue( algorithm, options );
+
+  // the range may be large, so read it a piece at a time
+  for( let pos = start; pos < end; pos += 0x10000 ) {
+    value = updateValue( algorithm, value, readBytes( image, pos, Math.min( 0x10000, end - pos ), options ));
+  }
+
+  if( algorithm === 'crc32' ) {
+    value = (value ^ 0xFFFFFFFF) >>> 0;
+  }
+  else if( algorithm === 'sum-negated' ) {
+    value = (0x100000000 - value) >>> 0;
+  }
+
+  return (value & mask) >>> 0;
+}
+
+
+// the checksum bytes as they are stored in the image: with phantom bytes,
+// they fill the 3 stored bytes of each instruction word, with 0x00 in the
+// rest of the last word and in each phantom byte
+function storedBytes( bytes, options ) {
+
+  if( !options.phantomBytes ) {
+    return bytes;
+  }
+
+  let stored = [];
+
+  for( let i = 0; i < bytes.length; i += 3 ) {
+    let word = Buffer.alloc( 4 );
+
+    bytes.copy( word, 0, i, Math.min( i + 3, bytes.length ));
+    stored.push( ...word );
+  }
+
+  return Buffer.from( stored );
+}
+
+
+/**
+ * Calculate a checksum over a range of the image and write it into the image
+ *
+ * @param      {MemoryImage}  image    The image
+ * @param      {object}       options  The options
+ * @param      {number}       options.start    The first address of the range
+ * @param      {number}       options.end      The address after the end of the range
+ * @param      {number}       options.address  Where to write the checksum (outside the range)
+ * @param      {number}       [options.width]   Size of the checksum in bytes: 1, 2 (default) or 4
+ * @param      {string}       [options.endian]  'little' (default) or 'big'
+ * @param      {string}       [options.algorithm]  One of ALGORITHMS (default 'crc16')
+ * @param      {number}       [options.initial]  The starting value, instead of the
+ *                                               algorithm's usual one
+ * @param      {number}       [options.addressing]  Image bytes per device address (default 1)
+ * @param      {number}       [options.dataOffset]  Device address of image address 0 (default 0)
+ * @param      {boolean}      [options.phantomBytes]  true if every 4th image byte is
+ *                                                    not stored in the device (PIC24)
+ * @return     {number}  The checksum that was written
+ */
+function insertChecksum( image, options ) {
+
+  let width = options.width || 2;
+
+  if( [ 1, 2, 4 ].indexOf( width ) === -1 ) {
+    throw new Error( 'Checksum width must be 1, 2 or 4 bytes' );
+  }
+
+  if( [ undefined, 'little', 'big' ].indexOf( options.endian ) === -1 ) {
+    throw new Error( 'Checksum endian must be \'little\' or \'big\'' );
+  }
+
+  if( 'number' !== typeof( options.address )) {
+    throw new Error( 'No address given for the checksum' );
+  }
+
+  let bytes = Buffer.alloc( width );
+  let address = imageAddress( options.address, options );
+  let stored = storedBytes( bytes, options );
+
+  if( address + stored.length > imageAddress( options.start, options ) && address < imageAddress( options.end, options )) {
+    throw new Error( 'The checksum at ' + hex( options.address ) + ' would overwrite the range it covers' );
+  }
+
+  let value = computeChecksum( image, options );
+
+  if( options.endian === 'big' ) {
+    bytes.writeUIntBE( value, 0, width );
+  }
+  else {
+    bytes.writeUIntLE( value, 0, width );
+  }
+
+  image.write( address, storedBytes( bytes, options ));
+
+  return value;
+}
+
+
+module.exports = {
+  ALGORITHMS: ALGORITHMS,
+  computeChecksum: computeChecksum,
+  insertChecksum: insertChecksum,
+};
@@ -0,0 +1,317 @@
+/**
+ * Transparent decompression of gzip or zlib (deflate) compressed images
+ *
+ * Compressed data is recognized by its magic bytes, so a '.hex.gz' file (or
+ * a compressed Buffer or stream) can be given anywhere an image is accepted.
+ *
+ * A zlib header is only two bytes, which a raw binary image can easily
+ * start with, so data with a zlib header that does not inflate cleanly is
+ * passed on as it is.  Only gzip data is reported as corrupt.
+ */
+
+const zlib = require('zlib');
+const { Transform } = require('stream');
+
+// number of bytes needed to recognize compressed data
+const MAGIC_LENGTH = 2;
+
+
+/**
+ * Check whether data starts with the gzip magic bytes
+ *
+ * @param      {Uint8Array}  buf     The start of the data
+ * @return     {boolean}  true if the data is gzip compressed
+ */
+function isGzip( buf ) {
+  return buf.length >= MAGIC_LENGTH && buf[0] === 0x1F && buf[1] === 0x8B;
+}
+
+
+/**
+ * Check whether data starts with a gzip or zlib header
+ *
+ * @param      {Uint8Array}  buf     The start of the data
+ * @return     {boolean}  true if the data is compressed
+ */
+function isCompressed( buf ) {
+
+  if( buf.length < MAGIC_LENGTH ) {
+    return false;
+  }
+
+  if( isGzip( buf )) {
+    return true;
+  }
+
+  // zlib: deflate method, a window size of up to 32K, and a header checksum
+  return (buf[0] & 0x0F) === 8 && (buf[0] >> 4) <= 7 && ((buf[0] << 8) | buf[1]) % 31 === 0;
+}
+
+
+// Wraps a zlib error in one that says what went wrong
+function corruptError( err ) {
+  return new Error( 'Corrupt compressed data: ' + err.message );
+}
+
+
+/**
+ * Check whether a file is compressed, from its first few bytes
+ *
+ * @param      {string}   filename  The filename
+ * @return     {boolean}  true if the file is compressed
+ */
+function isCompressedFile( filename ) {
+
+  const fs = require('fs');
+
+  let head = Buffer.alloc( MAGIC_LENGTH );
+  let fd;
+
+  try {
+    fd = fs.openSync( filename, 'r' );
+    return isCompressed( head.subarray( 0, fs.readSync( fd, head, 0, MAGIC_LENGTH, 0 )));
+  }
+  catch( err ) {
+    return false;
+  }
+  finally {
+    if( undefined !== fd ) {
+      fs.closeSync( fd );
+    }
+  }
+}
+
+
+/**
+ * Decompress a Buffer
+ *
+ * @param      {Uint8Array}  buf     The compressed data
+ * @return     {Buffer}  The decompressed data, or the data as it is if it
+ *                       has a zlib header but does not inflate
+ */
+function decompressBuffer( buf ) {
+
+  try {
+    return zlib.unzipSync( buf );
+  }
+  catch( err ) {
+    if( !isGzip( buf )) {
+      return Buffer.from( buf );
+    }
+    throw corruptError( err );
+  }
+}
+
+
+/**
+ * Decompress as much as possible of the start of some compressed data
+ *
+ * Used to identify the format of the contents without reading all of it
+ *
+ * @param      {Uint8Array}  buf     The first part of the compressed data
+ * @return     {Buffer}  The start of the decompressed data (empty if it is corrupt)
+ */
+function decompressHead( buf ) {
+
+  try {
+    return zlib.unzipSync( buf, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  }
+  catch( err ) {
+    return Buffer.alloc( 0 );
+  }
+}
+
+
+/**
+ * A stream that decompresses its input if it is compressed, and passes it
+ * through unchanged otherwise
+ *
+ * gzip data is decompressed as it arrives.  Data with a zlib header is held
+ * until it has all been inflated, so that it can be passed on unchanged if
+ * it turns out not to be compressed.
+ */
+class DecompressStream extends Transform {
+
+  constructor() {
+
+    super();
+
+    let me = this;
+
+    // the first bytes, until we know whether the data is compressed
+    me.head = Buffer.alloc( 0 );
+
+    // the zlib stream, if the data is compressed
+    me.unzip = null;
+    me.plain = false;
+
+    // for data with a zlib header: the input and the inflated output, held
+    // until we know it inflates, and whether it failed to
+    me.raw = null;
+    me.inflated = null;
+    me.failed = false;
+
+    // the callback for the chunk zlib is working on, and the _flush()
+    // callback once all the input has been written
+    me.pending = null;
+    me.flushed = null;
+  }
+
+
+  _transform( chunk, encoding, callback ) {
+
+    let me = this;
+
+    if( !me.plain && !me.unzip ) {
+
+      me.head = Buffer.concat( [ me.head, chunk ] );
+
+      if( me.head.length < MAGIC_LENGTH ) {
+        return callback();
+      }
+
+      chunk = me.head;
+      me.head = null;
+
+      if( isCompressed( chunk )) {
+        me.startUnzip( !isGzip( chunk ));
+      }
+      else {
+        me.plain = true;
+      }
+    }
+
+    if( me.plain ) {
+      callback( null, chunk );
+    }
+    else if( me.raw ) {
+      me.raw.push( chunk );
+
+      if( me.failed ) {
+        callback();
+      }
+      else {
+        // zlib does not call back after an error, so the error handler
+        // does, and falls back to the raw data
+        me.pending = callback;
+        me.unzip.write( chunk, function() {
+          me.pending = null;
+          callback();
+        });
+      }
+    }
+    else {
+      me.unzip.write( chunk, callback );
+    }
+  }
+
+
+  _flush( callback ) {
+
+    let me = this;
+
+    if( me.failed ) {
+      me.passRaw( callback );
+    }
+    else if( me.unzip ) {
+      me.flushed = callback;
+      me.unzip.once( 'end', function() {
+        (me.inflated || []).forEach( function( data ) { me.push( data ); });
+        callback();
+      });
+      me.unzip.end();
+    }
+    else {
+      // too short to be compressed
+      callback( null, me.head );
+    }
+  }
+
+
+  // tentative is true if the data only has a zlib header, so it may not
+  // be compressed at all
+  startUnzip( tentative ) {
+
+    let me = this;
+
+    me.unzip = zlib.createUnzip();
+
+    if( tentative ) {
+      me.raw = [];
+      me.inflated = [];
+    }
+
+    me.unzip.on( 'data', function( data ) {
+      if( me.inflated ) {
+        me.inflated.push( data );
+      }
+      else {
+        me.push( data );
+      }
+    });
+
+    me.unzip.on( 'error', function( err ) {
+      if( !tentative ) {
+        me.destroy( corruptError( err ));
+      }
+      else {
+        me.failed = true;
+        me.inflated = null;
+
+        if( me.pending ) {
+          let callback = me.pending;
+
+          me.pending = null;
+          callback();
+        }
+
+        if( me.flushed ) {
+          me.passRaw( me.flushed );
+        }
+      }
+    });
+  }
+
+
+  // passes on the input as it was, since it did not inflate
+  passRaw( callback ) {
+
+    let me = this;
+
+    me.raw.forEach( function( data ) { me.push( data ); });
+    callback();
+  }
+
+}
+
+
+/**
+ * Create a stream that decompresses its input if necessary
+ *
+ * @param      {Readable}  [source]  A stream to read from; errors from it
+ *                                   are passed on
+ * @return     {Transform}  The stream
+ */
+function createDecompressStream( source ) {
+
+  let stream = new DecompressStream();
+
+  if( source ) {
+    source.on( 'error', function( err ) {
+      stream.destroy( err );
+    });
+    source.pipe( stream );
+  }
+
+  return stream;
+}
+
+
+module.exports = {
+  isGzip: isGzip,
+  isCompressed: isCompressed,
+  isCompressedFile: isCompressedFile,
+  decompressBuffer: decompressBuffer,
+  decompressHead: decompressHead,
+  createDecompressStream: createDecompressStream,
+};
@@ -0,0 +1,277 @@
+/**
+ * Compares two memory images
+ *
+ * Reports the address ranges that were added, removed or changed going from
+ * the first image to the second, and the (hexBlock-sized) blocks that are
+ * affected.  The report is a plain object that can be saved with
+ * JSON.stringify(), and formatDiff() turns it into a readable summary.
+ *
+ * The options can be a memory space from BootloaderTarget.  For a PIC24
+ * space (addressing: 2, phantomBytes: true) the HEX file holds 4 bytes for
+ * each 24-bit instruction word; the 4th (phantom) byte of each word is not
+ * stored in the device, so differences in it are ignored.
+ */
+
+const Formats = require('./formats');
+const hex = require('./util').hex;
+
+// number of bytes compared at a time where both images have data
+const COMPARE_CHUNK_SIZE = 0x10000;
+
+
+// Returns a function that records one kind of range in a list, combining it
+// with the previous range if they touch (or are separated only by a
+// phantom byte)
+function rangeCollector( list, phantomBytes ) {
+
+  return function( start, end ) {
+
+    let last = list[ list.length - 1 ];
+
+    if( last ) {
+      let lastEnd = last.address + last.length;
+
+      if( start === lastEnd || (phantomBytes && start === lastEnd + 1 && (lastEnd % 4) === 3 )) {
+        last.length = end - last.address;
+        return;
+      }
+    }
+
+    list.push( { address: start, length: end - start } );
+  };
+}
+
+
+// Every address where either image starts or stops having data, in order.
+// Between two consecutive points, each image either has data throughout or
+// not at all.
+function changePoints( before, after ) {
+
+  let points = [];
+
+  before.ranges().concat( after.ranges() ).forEach( function( range ) {
+    points.push( range.address, range.address + range.length );
+  });
+
+  return Array.from( new Set( points )).sort( function( a, b ) { return a - b; });
+}
+
+
+// The runs of bytes that differ between two buffers read from address, as
+// { address, length }, ignoring phantom bytes if there are any
+function changedRuns( a, b, address, phantomBytes ) {
+
+  let runs = [];
+  let run = null;
+
+  for( let j = 0; j <= a.length; j++ ) {
+
+    let differs = j < a.length && a[j] !== b[j] && !(phantomBytes && ((address + j) % 4) === 3 );
+
+    if( differs && run === null ) {
+      run = j;
+    }
+    else if( !differs && run !== null ) {
+      runs.push( { address: address + run, length: j - run } );
+      run = null;
+    }
+  }
+
+  return runs;
+}
+
+
+// The ranges from start to end where the data in the two images differs,
+// ignoring phantom bytes if there are any
+function changedRanges( images, start, end, phantomBytes ) {
+
+  let changed = [];
+
+  for( let pos = start; pos < end; pos += COMPARE_CHUNK_SIZE ) {
+
+    let length = Math.min( COMPARE_CHUNK_SIZE, end - pos );
+    let a = images[0].read( pos, length );
+    let b = images[1].read( pos, length );
+
+    if( a.equals( b )) {
+      continue;
+    }
+
+    changed.push( ...changedRuns( a, b, pos, phantomBytes ));
+  }
+
+  return changed;
+}
+
+
+// Fill in the device address of each range in the result, and list the
+// blocks touched by any of them, in address order
+function affectedBlocks( result, hexBlock, addressing, dataOffset ) {
+
+  let blocks = new Set();
+
+  [ result.added, result.removed, result.changed ].forEach( function( list ) {
+
+    list.forEach( function( range ) {
+
+      range.deviceAddress = range.address / addressing + dataOffset;
+
+      let last = Math.floor( (range.address + range.length - 1) / hexBlock );
+
+      for( let index = Math.floor( range.address / hexBlock ); index <= last; index++ ) {
+        blocks.add( index );
+      }
+    });
+  });
+
+  return Array.from( blocks ).sort( function( a, b ) { return a - b; }).map( function( index ) {
+    return {
+      index: index,
+      address: index * hexBlock,
+      deviceAddress: index * hexBlock / addressing + dataOffset,
+    };
+  });
+}
+
+
+/**
+ * Compare two memory images
+ *
+ * @param      {MemoryImage}  before   The original image
+ * @param      {MemoryImage}  after    The new image
+ * @param      {object}       [options]  The options (or a memory space)
+ * @param      {number}       [options.hexBlock]      Block size (in image addresses)
+ * @param      {number}       [options.addressing]    Image addresses per device address
+ * @param      {number}       [options.dataOffset]    Added to device addresses
+ * @param      {boolean}      [options.phantomBytes]  Ignore every 4th byte (PIC24)
+ * @return     {object}  { added, removed, changed, blocks, identical }.  Each
+ *                       range is { address, length, deviceAddress } where
+ *                       address and length are in image (HEX file) units;
+ *                       each block is { index, address, deviceAddress }
+ */
+function compareImages( before, after, options ) {
+
+  options = options || {};
+
+  let hexBlock = options.hexBlock || 256;
+  let addressing = options.addressing || 1;
+  let phantomBytes = !!options.phantomBytes;
+
+  let result = {
+    hexBlock: hexBlock,
+    addressing: addressing,
+    added: [],
+    removed: [],
+    changed: [],
+    blocks: [],
+    identical: true,
+  };
+
+  let add = {
+    added: rangeCollector( result.added, phantomBytes ),
+    removed: rangeCollector( result.removed, phantomBytes ),
+    changed: rangeCollector( result.changed, phantomBytes ),
+  };
+  let points = changePoints( before, after );
+
+  for( let i = 0; i < points.length - 1; i++ ) {
+
+    let start = points[i];
+    let end = points[i + 1];
+    let inBefore = before.hasData( start, 1 );
+    let inAfter = after.hasData( start, 1 );
+
+    if( inBefore && inAfter ) {
+      for( const range of changedRanges( [ before, after ], start, end, phantomBytes )) {
+        add.changed( range.address, range.address + range.length );
+      }
+    }
+    else if( inAfter ) {
+      add.added( start, end );
+    }
+    else if( inBefore ) {
+      add.removed( start, end );
+    }
+  }
+
+  result.blocks = affectedBlocks( result, hexBlock, addressing, options.dataOffset || 0 );
+  result.identical = (result.blocks.length === 0);
+
+  return result;
+}
+
+
+/**
+ * Produce a readable summary of the result of compareImages()
+ *
+ * @param      {object}  diff    The result of compareImages()
+ * @return     {string}  The summary, one line per range or block
+ */
+function formatDiff( diff ) {
+
+  let lines = [];
+
+  if( diff.identical ) {
+    return 'Images are identical\n';
+  }
+
+  function listRanges( title, list ) {
+
+    let total = list.reduce( function( sum, range ) { return sum + range.length; }, 0 );
+
+    lines.push( title + ': ' + list.length + ' range(s), ' + total + ' bytes' );
+
+    list.forEach( function( range ) {
+
+      let text = '  ' + hex( range.address, 6 ) + '-' + hex( range.address + range.length - 1, 6 ) + ' (' + range.length + ' bytes)';
+
+      if( diff.addressing !== 1 || range.deviceAddress !== range.address ) {
+        text += ' device ' + hex( range.deviceAddress, 6 );
+      }
+
+      lines.push( text );
+    });
+  }
+
+  listRanges( 'Added', diff.added );
+  listRanges( 'Removed', diff.removed );
+  listRanges( 'Changed', diff.changed );
+
+  lines.push( 'Changed blocks (' + diff.hexBlock + ' bytes): ' + diff.blocks.length );
+
+  diff.blocks.forEach( function( block ) {
+    lines.push( '  #' + block.index + ' at ' + hex( block.address, 6 ) + ' device ' + hex( block.deviceAddress, 6 ));
+  });
+
+  return lines.join( '\n' ) + '\n';
+}
+
+
+/**
+ * Load two image files and compare them
+ *
+ * The format of each file is determined from its name (or content), as for start()
+ *
+ * @param      {string}  fileBefore  The original file
+ * @param      {string}  fileAfter   The new file
+ * @param      {object}  [options]   The options for compareImages()
+ * @return     {Promise}  resolves with the result of compareImages()
+ */
+function compareFiles( fileBefore, fileAfter, options ) {
+
+  function load( filename ) {
+    return Formats.createParser( Formats.fromFile( filename )).loadFile( filename );
+  }
+
+  return Promise.all( [ load( fileBefore ), load( fileAfter ) ] )
+  .then( function( images ) {
+    return compareImages( images[0], images[1], options );
+  });
+}
+
+
+module.exports = {
+  compareImages: compareImages,
+  compareFiles: compareFiles,
+  formatDiff: formatDiff,
+};
@@ -0,0 +1,156 @@
+/**
+ * Handles ELF32 executable files (little or big endian)
+ *
+ * The loadable (PT_LOAD) segments are placed at their physical addresses,
+ * producing the same MemoryImage as a HEX file.  Segments that have no
+ * file content (eg .bss) are ignored.
+ */
+
+const BinaryFile = require('./binfile');
+
+const ELF_MAGIC = [ 0x7F, 0x45, 0x4C, 0x46 ];
+
+const ELFCLASS32 = 1;
+const ELFDATA2LSB = 1;
+const ELFDATA2MSB = 2;
+
+const PT_LOAD = 1;
+
+// size of the ELF32 file header, and minimum size of a program header
+const EHDR_SIZE = 52;
+const PHDR_SIZE = 32;
+
+
+module.exports = class ElfFile extends BinaryFile {
+
+  constructor() {
+
+    super();
+
+    this.fileType = 'ELF';
+  }
+
+
+  // Returns true if the buffer starts with the ELF signature
+  static isElf( buf ) {
+    return buf.length >= ELF_MAGIC.length &&
+      ELF_MAGIC.every( function( byte, index ) { return buf[index] === byte; });
+  }
+
+
+  // An ELF file has to be read completely before it can be parsed
+  loadStream( stream, options ) {
+
+    let me = this;
+
+    options = options || {};
+
+    return new Promise( function( resolve, reject ) {
+
+      let chunks = [];
+
+      me.totalBytes = options.size || null;
+      me.trackProgress( stream );
+
+      stream.on('data', function( chunk ) {
+        chunks.push( chunk );
+      });
+
+      stream.on('error', function( cause ) {
+        reject( me.readError( cause ));
+      });
+
+      stream.on('end', function() {
+        try {
+          resolve( me.parse( Buffer.concat( chunks )));
+        }
+        catch( err ) {
+          reject( err );
+        }
+      });
+
+    });
+  }
+
+
+  loadBuffer( buf ) {
+
+    try {
+      return Promise.resolve( this.parse( Buffer.from( buf.buffer, buf.byteOffset, buf.length )));
+    }
+    catch( err ) {
+      return Promise.reject( err );
+    }
+  }
+
+
+  // Walk the program headers and copy each loadable segment into the image
+  parse( buf ) {
+    let me = this;
+
+    me.reset();
+    me.bytesInFile = buf.length;
+
+    let read = ElfFile.readers( buf );
+
+    me.entryPoint = read.word( 0x18 );
+
+    let phoff = read.word( 0x1C );
+    let phentsize = read.half( 0x2A );
+    let phnum = read.half( 0x2C );
+
+    if( phnum > 0 && (phentsize < PHDR_SIZE || phoff + phnum * phentsize > buf.length )) {
+      throw new Error( 'Invalid ELF program header table' );
+    }
+
+    for( let i = 0; i < phnum; i++ ) {
+      me.loadSegment( buf, read, i, phoff + i * phentsize );
+    }
+
+    return me.finish();
+  }
+
+
+  // Copy segment number i, whose program header is at the given offset, into
+  // the image if it is loadable
+  loadSegment( buf, read, i, header ) {
+
+    let type = read.word( header );
+    let offset = read.word( header + 4 );
+    let paddr = read.word( header + 12 );
+    let filesz = read.word( header + 16 );
+
+    if( type === PT_LOAD && filesz > 0 ) {
+
+      if( offset + filesz > buf.length ) {
+        throw new Error( 'ELF segment ' + i + ' extends past the end of the file' );
+      }
+
+      this.writeData( paddr, buf.subarray( offset, offset + filesz ));
+    }
+  }
+
+
+  // Check the ELF identification, and return functions that read half words
+  // and words from the file in its byte order
+  static readers( buf ) {
+
+    if( buf.length < EHDR_SIZE || !ElfFile.isElf( buf )) {
+      throw new Error( 'Not an ELF file' );
+    }
+
+    if( buf[4] !== ELFCLASS32 ) {
+      throw new Error( 'Only 32-bit ELF files are supported' );
+    }
+
+    if( buf[5] === ELFDATA2LSB ) {
+      return { half: buf.readUInt16LE.bind( buf ), word: buf.readUInt32LE.bind( buf ) };
+    }
+    else if( buf[5] === ELFDATA2MSB ) {
+      return { half: buf.readUInt16BE.bind( buf ), word: buf.readUInt32BE.bind( buf ) };
+    }
+
+    throw new Error( 'Invalid ELF data encoding: ' + buf[5] );
+  }
+
+};
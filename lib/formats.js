@@ -0,0 +1,261 @@
+/**
+ * Chooses how to parse an image file
+ *
+ * The format is determined from the file extension, or by looking at the
+ * content when the image is supplied as a string or Buffer (or the file
+ * has an extension we don't know).
+ */
+
+const HexFile = require('./intelhex');
+const SRecordFile = require('./srecord');
+const BinaryFile = require('./binfile');
+const ElfFile = require('./elffile');
+const TiTxtFile = require('./titxt');
+const Decompress = require('./decompress');
+
+// parser class for each supported format
+const PARSERS = {
+  hex: HexFile,
+  srec: SRecordFile,
+  bin: BinaryFile,
+  elf: ElfFile,
+  titxt: TiTxtFile,
+};
+
+// number of bytes read from the start of a file to guess its format
+const SNIFF_LENGTH = 256;
+
+// file extensions (lower case) that identify each format
+const EXTENSIONS = {
+  '.s19': 'srec',
+  '.s28': 'srec',
+  '.s37': 'srec',
+  '.srec': 'srec',
+  '.mot': 'srec',
+  '.bin': 'bin',
+  '.elf': 'elf',
+  '.axf': 'elf',
+  '.txt': 'titxt',
+};
+
+// extensions that other kinds of file also use, so the content decides the
+// format (HEX files are sometimes named *.txt)
+const SNIFFED_EXTENSIONS = [ '.txt' ];
+
+
+/**
+ * Determine the format of a file from its name
+ *
+ * Anything not recognized is assumed to be Intel HEX
+ *
+ * @param      {string}  filename  The filename
+ * @return     {string}  the format name
+ */
+function fromFilename( filename ) {
+  let ext = require('path').extname( filename ).toLowerCase();
+
+  return EXTENSIONS[ ext ] || 'hex';
+}
+
+/**
+ * Determine the format of a file from its name or, if the extension is not
+ * one we know (or is one like .txt that is not specific to a format), from
+ * the first few bytes of the file.  A compressed file is identified by its
+ * contents (eg 'app.hex.gz' is a HEX file)
+ *
+ * Anything not recognized is assumed to be Intel HEX
+ *
+ * @param      {string}  filename  The filename
+ * @return     {string}  the format name
+ */
+function fromFile( filename ) {
+
+  const fs = require('fs');
+
+  // a compressed file is named for its contents, plus '.gz'
+  let ext = require('path').extname( filename.replace( /\.gz$/i, '' )).toLowerCase();
+
+  if( EXTENSIONS[ ext ] && SNIFFED_EXTENSIONS.indexOf( ext ) === -1 ) {
+    return EXTENSIONS[ ext ];
+  }
+
+  let head = Buffer.alloc( SNIFF_LENGTH );
+  let length = 0;
+  let fd;
+
+  try {
+    fd = fs.openSync( filename, 'r' );
+    length = fs.readSync( fd, head, 0, SNIFF_LENGTH, 0 );
+  }
+  catch( err ) {
+    // let the parser report the problem when it tries to read the file
+    return 'hex';
+  }
+  finally {
+    if( undefined !== fd ) {
+      fs.closeSync( fd );
+    }
+  }
+
+  head = head.subarray( 0, length );
+
+  if( Decompress.isCompressed( head )) {
+    head = Decompress.decompressHead( head );
+  }
+
+  return fromHead( head );
+}
+
+/**
+ * Determine the format of a stream from its first few bytes
+ *
+ * A stream has no extension to say that it is a raw binary image, so data
+ * that is not text (or ELF) is taken to be one.  Any other text that is not
+ * recognized is assumed to be Intel HEX.
+ *
+ * @param      {Readable}  stream  The (decompressed) stream
+ * @return     {Promise}  Resolves with { format, stream }, where stream gives
+ *                        all the data, including the bytes that were examined
+ */
+function fromStream( stream ) {
+
+  const { PassThrough } = require('stream');
+
+  return new Promise( function( resolve, reject ) {
+
+    let chunks = [];
+    let length = 0;
+    let replay = null;
+
+    function onData( chunk ) {
+      chunks.push( Buffer.from( chunk ));
+      length += chunk.length;
+
+      if( length >= SNIFF_LENGTH ) {
+        release( false );
+      }
+    }
+
+    // hand the stream on, once we have seen enough of it
+    function release( ended ) {
+
+      let head = Buffer.concat( chunks );
+
+      stream.removeListener( 'data', onData );
+      stream.removeListener( 'end', onEnd );
+      stream.pause();
+
+      replay = new PassThrough();
+      resolve( { format: fromStreamHead( head ), stream: replay } );
+
+      replay.write( head );
+
+      if( ended ) {
+        replay.end();
+      }
+      else {
+        stream.pipe( replay );
+      }
+    }
+
+    function onEnd() {
+      release( true );
+    }
+
+    stream.on( 'error', function( err ) {
+      if( replay ) {
+        replay.destroy( err );
+      }
+      else {
+        reject( err );
+      }
+    });
+
+    stream.on( 'data', onData );
+    stream.on( 'end', onEnd );
+  });
+}
+
+// the format of a file from its (uncompressed) first few bytes
+function fromHead( head ) {
+
+  if( ElfFile.isElf( head )) {
+    return 'elf';
+  }
+
+  return fromContent( head.toString( 'latin1' )) || 'hex';
+}
+
+// the format of a stream from its first few bytes: as for a file, except
+// that data with bytes no text format has (other than tab, CR and LF) is binary
+function fromStreamHead( head ) {
+
+  let format = fromHead( head );
+  let binary = head.some( (byte) => byte > 0x7E || (byte < 0x20 && [ 0x09, 0x0A, 0x0D ].indexOf( byte ) === -1 ));
+
+  if( format === 'hex' && binary && !fromContent( head.toString( 'latin1' ))) {
+    return 'bin';
+  }
+
+  return format;
+}
+
+/**
+ * Determine whether a string holds image data, and in what format
+ *
+ * @param      {string}  text    The string
+ * @return     {string|null}  the format name, or null if the string does not
+ *                            look like image data (eg it is a filename)
+ */
+function fromContent( text ) {
+
+  if( HexFile.isHexString( text )) {
+    return 'hex';
+  }
+  else if( /^\s*S[0-9][0-9A-Fa-f]{6}/.test( text )) {
+    return 'srec';
+  }
+  else if( TiTxtFile.isTiTxtString( text )) {
+    return 'titxt';
+  }
+
+  return null;
+}
+
+/**
+ * Determine the format of image data supplied as a Buffer or Uint8Array
+ *
+ * @param      {Uint8Array}  buf     The data
+ * @return     {string}  'elf' if the data has an ELF signature, otherwise 'bin'
+ */
+function fromBuffer( buf ) {
+  return ElfFile.isElf( buf ) ? 'elf' : 'bin';
+}
+
+/**
+ * Create a parser for the given format
+ *
+ * @param      {string}  format  The format name
+ * @return     {HexFile} a parser instance
+ */
+function createParser( format ) {
+
+  let Parser = PARSERS[ format ];
+
+  if( !Parser ) {
+    throw new Error( 'Unsupported file format: ' + format );
+  }
+
+  return new Parser();
+}
+
+
+module.exports = {
+  PARSERS: PARSERS,
+  fromFilename: fromFilename,
+  fromFile: fromFile,
+  fromStream: fromStream,
+  fromContent: fromContent,
+  fromBuffer: fromBuffer,
+  createParser: createParser,
+};
@@ -3,178 +3,481 @@
  */
 
 
-// const { Readable } = require('stream');
+//Intel Hex record types
+const DATA = 0,
+  END_OF_FILE = 1,
+  EXT_SEGMENT_ADDR = 2,
+  START_SEGMENT_ADDR = 3,
+  EXT_LINEAR_ADDR = 4,
+  START_LINEAR_ADDR = 5;
 
-// class ReadableHexStream extends Readable {
-  
-//   constructor( buf, options ) {
-//     super(options);
-
-//     // save for later use
-//     this.buf = buf;
-//     this.state = 1;
-//     this.addressOffset = options.addressOffset || 0;
-//     this.dataIndex = 0;
-//     this.currentSegment = 0;
-//     this.maxBytesPerLine = 16;
-//   }
-
-//   _read( n ) {
-    
-//     switch( this.state ) {
-      
-//       case 1:
-//         // would like to send this many bytes
-//         let bytesToSend = Math.min( this.maxBytesPerLine, buf.length - this.dataIndex );
+const EMPTY_VALUE = 0xFF;
 
-//         // if it starts outside the current address segment, send an updated segment
-//         if( (this.dataIndex + this.addressOffset) >> 16 !== this.currentSegment ) {
-//           this.currentSegment = (this.dataIndex + this.addressOffset) >> 16;
+const DEFAULT_BYTES_PER_LINE = 16;
 
-//           this.push( this.create( EXT_LINEAR_ADDR, this.currentSegment ));
-//         }
-//         else {
-//           // we are in the right segment; see if we can send all the bytes
+// emit a progress event each time this many more bytes have been read
+const PROGRESS_INTERVAL = 0x100000;
 
-//         }
+const { Readable } = require('stream');
+const EventEmitter = require('events').EventEmitter;
 
-//         // me.extendedAddress = (record.data[0] << 24) +
-//         //               (record.data[1] << 16);
+const MemoryImage = require('./MemoryImage');
+const Decompress = require('./decompress');
 
-//         break;
 
-//       case 2:
-//         this.push( ':00000001FF' );
-//         this.state = 3;
-//         break;
+// Returns the position of the first character in the string that is not a
+// hex digit, or -1 if there is none
+function findNonHex( text ) {
+  return text.search( /[^0-9A-Fa-f]/ );
+}
 
-//       default:
-//         this.push( null );
-//         break;
+// Convert a byte value to a two-character hex string
+function byteToHex( byte ) {
+  return ('0' + byte.toString(16).toUpperCase()).slice(-2);
+}
 
-//     }
-//   }
-// }
+// Create a single record (one line of a HEX file, without line ending)
+function createRecord( type, address, data ) {
 
-//Intel Hex record types
-const DATA = 0,
-  END_OF_FILE = 1,
-  EXT_SEGMENT_ADDR = 2,
-  START_SEGMENT_ADDR = 3,
-  EXT_LINEAR_ADDR = 4,
-  START_LINEAR_ADDR = 5;
+  let bytes = [ data.length, (address >> 8) & 0xFF, address & 0xFF, type ];
 
-const EMPTY_VALUE = 0xFF;
+  for( let i = 0; i < data.length; i++ ) {
+    bytes.push( data[i] );
+  }
+
+  let sum = bytes.reduce( function( a, b ) { return a + b; }, 0 );
+  bytes.push( -sum & 0xFF );
+
+  return ':' + bytes.map( byteToHex ).join('');
+}
+
+// Generates the lines of a HEX file for the given segments
+//
+// Lines never cross a 64K boundary, and an Extended Linear Address record
+// is emitted whenever the upper 16 bits of the address change.
+function* generateHexLines( segments, options ) {
+
+  let bytesPerLine = options.bytesPerLine || DEFAULT_BYTES_PER_LINE;
+  let upper = 0;
+
+  if( bytesPerLine < 1 || bytesPerLine > 255 ) {
+    throw new Error( 'bytesPerLine must be between 1 and 255' );
+  }
+
+  for( let segment of segments ) {
+
+    let index = 0;
 
+    while( index < segment.data.length ) {
 
-// Convert a hex string to a byte array
-function hexToBytes(hex) {
-  for (var bytes = [], c = 0; c < hex.length; c += 2) {
-    bytes.push(parseInt(hex.substr(c, 2), 16));
+      let address = segment.address + index;
+      let segmentUpper = Math.floor( address / 0x10000 );
+      let lower = address % 0x10000;
+
+      if( segmentUpper !== upper ) {
+        upper = segmentUpper;
+        yield createRecord( EXT_LINEAR_ADDR, 0, [ (upper >> 8) & 0xFF, upper & 0xFF ] );
+      }
+
+      let count = Math.min( bytesPerLine, segment.data.length - index, 0x10000 - lower );
+
+      yield createRecord( DATA, lower, segment.data.slice( index, index + count ));
+
+      index += count;
+    }
+  }
+
+  if( 'number' === typeof( options.entryPoint )) {
+    let entry = options.entryPoint;
+    yield createRecord( START_LINEAR_ADDR, 0, [
+      Math.floor( entry / 0x1000000 ) & 0xFF, (entry >> 16) & 0xFF, (entry >> 8) & 0xFF, entry & 0xFF ] );
+  }
+
+  yield createRecord( END_OF_FILE, 0, [] );
+}
+
+/**
+ * A Readable stream that produces HEX file text
+ *
+ * The data can be a Buffer (or array of bytes) that is located at
+ * options.addressOffset, a MemoryImage, or an array of { address, data }
+ * segments.
+ *
+ * Options:
+ *   addressOffset: address of the first byte of a Buffer (default 0)
+ *   bytesPerLine: maximum number of data bytes in each record (default 16)
+ *   entryPoint: if a number, a Start Linear Address record is included
+ *   eol: line ending (default '\n')
+ */
+class ReadableHexStream extends Readable {
+
+  constructor( data, options ) {
+    options = options || {};
+
+    super( options );
+
+    let segments = data;
+
+    if( data instanceof MemoryImage ) {
+      segments = data.chunks();
+    }
+    else if( Buffer.isBuffer( data ) || 'number' === typeof( data[0] )) {
+      segments = [ { address: options.addressOffset || 0, data: data } ];
+    }
+
+    this.eol = options.eol || '\n';
+    this.lines = generateHexLines( segments, options );
+  }
+
+  _read() {
+
+    let next;
+
+    do {
+      try {
+        next = this.lines.next();
+      }
+      catch( err ) {
+        this.destroy( err );
+        return;
+      }
+
+      if( next.done ) {
+        this.push( null );
+        return;
+      }
+    } while( this.push( next.value + this.eol ));
   }
-  return bytes;
 }
 
-module.exports = class HexFile {
+/**
+ * Parses HEX files into a MemoryImage
+ *
+ * Emits 'progress' events (bytesRead, totalBytes) while reading.  totalBytes
+ * is null if the size of the input is not known.  Emits a 'write' event
+ * (address, length) each time data is stored in the image.
+ */
+module.exports = class HexFile extends EventEmitter {
   constructor(  ) {
 
+    super();
+
     let me = this;
     
     // a state-full variable to keep track of the high byte(s) of the address
     me.extendedAddress = 0;
-    me.blocks = [];
-    me.blockSize = 0;
     me.linesInFile = 0;
+
+    // the value of any address the file does not fill in (the erased value
+    // of the memory space it is loaded into)
     me.fillValue = EMPTY_VALUE;
 
-    //me.ReadableHexStream = ReadableHexStream;
+    // 'strict': any problem in the file is an error; 'lenient': skip bad
+    // lines and accept a missing EOF record, reporting them as warnings
+    me.mode = 'strict';
+
+    // problems found in the last file read
+    me.diagnostics = [];
+
+    // number of whitespace characters before the current line, so
+    // diagnostics report the right column
+    me.lineIndent = 0;
+
+    // what to do when a record writes to an address that an earlier record
+    // already wrote: 'warning' or 'error' (both are added to the
+    // diagnostics), or 'allow' to skip the check
+    me.overlapPolicy = 'warning';
+
+    // the address ranges written so far, and the lines they came from
+    me.written = [];
+
+    // column of the address field in a record, for diagnostics
+    me.addressColumn = 4;
+
+    // whether loadFile() decompresses gzip or zlib compressed files
+    me.decompress = true;
+
+    // the data read from the file
+    me.image = new MemoryImage( { fillValue: me.fillValue } );
+
+    // used in error messages
+    me.fileType = 'HEX';
+
+    // execution start address from a type 03 or 05 record (null if none)
+    me.entryPoint = null;
+    me.startSegment = null;
+
+    // for progress reporting
+    me.bytesRead = 0;
+    me.totalBytes = null;
+
+    me.ReadableHexStream = ReadableHexStream;
 
   }
 
 
+  /**
+   * Create an Error for a problem on the line being parsed
+   *
+   * The error carries a diagnostic object, which loadStream() collects
+   *
+   * @param      {string}  reason      Short code for the problem (eg 'checksum')
+   * @param      {number}  column      Where the problem is (1 is the first character)
+   * @param      {number}  recordType  The record type, or null if not known
+   * @param      {string}  description  What is wrong
+   * @return     {Error}   The error
+   */
+  lineError( reason, column, recordType, description ) {
+
+    let me = this;
+    let err = new Error( description + ' in ' + me.fileType + ' line: ' + me.linesInFile );
+
+    err.diagnostic = {
+      line: me.linesInFile,
+      column: ('number' === typeof( column )) ? column + me.lineIndent : null,
+      recordType: ('number' === typeof( recordType )) ? recordType : null,
+      reason: reason,
+      message: err.message,
+    };
+
+    return err;
+  }
+
+
   parseHexLine( line ) {
 
-    let bytes = hexToBytes( line.slice( 1 ));
+    let me = this;
 
-    if( bytes.length > 4 ) {
+    me.checkHexText( line );
+
+    let bytes = Buffer.from( line.slice( 1 ), 'hex' );
+
+    if( bytes.length < 5 ) {
+      throw me.lineError( 'too-short', line.length, null, 'Record too short' );
+    }
+
+    let count = bytes[0];
+    let type = bytes[3];
+    let sum = 0;
+
+    for( let i = 0; i < bytes.length; i++ ) {
+      sum = (sum + bytes[i] ) & 0xFF;
+    }
+
+    let data = bytes.subarray( 4, bytes.length-1 );
+
+    if( count !== data.length ) {
+      throw me.lineError( 'count', 2, type, 'Byte count ' + count + ' does not match ' + data.length + ' data bytes' );
+    }
+
+    if( sum !== 0 ) {
+      throw me.lineError( 'checksum', line.length - 1, type, 'Bad checksum' );
+    }
+
+    return {
+      count: count,
+      address: bytes[1] * 256 + bytes[2],
+      type: type,
+      data: data
+    };
+
+  }
+
+
+  // check the characters of a line
+  checkHexText( line ) {
+
+    let me = this;
+
+    if( line.charAt( 0 ) !== ':' ) {
+      throw me.lineError( 'start-code', 1, null, 'Missing start code' );
+    }
+
+    let bad = findNonHex( line.slice( 1 ));
+
+    if( bad >= 0 ) {
+      throw me.lineError( 'non-hex', bad + 2, null, 'Non-hex character \'' + line.charAt( bad + 1 ) + '\'' );
+    }
+
+    if( line.length % 2 === 0 ) {
+      throw me.lineError( 'odd-length', line.length, null, 'Odd number of hex digits' );
+    }
+  }
+
+
+  // Store the bytes of a data record in the memory image
+  addData( record ) {
+    let me = this;
+
+    let effectiveAddress = me.extendedAddress + record.address;
+
+    if( me.overlapPolicy !== 'allow' && record.data.length > 0 ) {
+      me.checkOverlaps( effectiveAddress, record );
+    }
+
+    me.writeData( effectiveAddress, record.data );
+
+  }
 
-      let count = bytes[0];
-      let sum = 0;
-      bytes.forEach( function( byte ){
-        sum = (sum + byte ) & 0xFF;
-      });
 
-      let data = bytes.slice( 4, bytes.length-1 );
+  // Returns the index of the first written range that ends above the address
+  findWritten( address ) {
 
-      if( count !== data.length || sum !== 0 ) {
-        throw new Error( 'Invalid data in HEX file line: '+ this.linesInFile );
+    let low = 0;
+    let high = this.written.length;
 
+    while( low < high ) {
+      let mid = (low + high) >> 1;
+
+      if( this.written[mid].end > address ) {
+        high = mid;
       }
       else {
-        return {
-          count: count,
-          address: bytes[1] * 256 + bytes[2],
-          type: bytes[3],
-          data: data
-        };
+        low = mid + 1;
       }
     }
-    else {
-      
-      throw new Error( 'Invalid HEX file line: ' + this.linesInFile );
-    }
 
+    return low;
   }
 
-  // Add bytes to a block. Create the block if it doesn't exist.
-  // does not check for block overruns
-  blockUpdate( blockIndex, offset, bytes ) {
+
+  /**
+   * Find the parts of an address range that earlier records wrote
+   *
+   * Consecutive records that continue one another are kept as a single
+   * run, { address, end, line, lastLine, recordLength, step }, so the line
+   * that wrote an address can be worked out from its offset in the run:
+   * 'line' wrote the first record, and each following record was written
+   * 'step' (1, or -1 for records in descending order) lines later.
+   *
+   * @param      {number}  start   The start address
+   * @param      {number}  end     The end address (exclusive)
+   * @return     {Array}   list of { address, length, previousLine }
+   */
+  findOverlaps( start, end ) {
+
     let me = this;
+    let result = [];
 
-    if( 'object' !== typeof( me.blocks[blockIndex] )) {
-  
-      let newBlock = new Array(me.blockSize);
-      newBlock.fill( me.fillValue );
+    for( let i = me.findWritten( start ); i < me.written.length && me.written[i].address < end; i++ ) {
 
-      me.blocks[blockIndex] = newBlock;
-    }
+      let run = me.written[i];
+      let pos = Math.max( start, run.address );
+      let stop = Math.min( end, run.end );
+
+      // split the overlap by the record that wrote each part
+      while( pos < stop ) {
+        let record = Math.floor( (pos - run.address) / run.recordLength );
+        let recordEnd = Math.min( stop, run.address + (record + 1) * run.recordLength );
 
-    me.blocks[ blockIndex ].splice( offset, bytes.length, ...bytes );
+        result.push( { address: pos, length: recordEnd - pos, previousLine: run.line + record * run.step } );
+        pos = recordEnd;
+      }
+    }
 
+    return result;
   }
 
 
-  addData( record ) {
+  // Remember that the current line wrote the range, apart from the parts
+  // that were already written
+  recordWritten( start, end, overlaps ) {
+
     let me = this;
+    let line = me.linesInFile;
+    let pos = start;
 
-    // this is true for certain hex files (PIC24) but not all
-    // if( (record.data.length % 4)  > 0 ) {
-       //console.log( record);
-    //   throw new Error( 'Incorrect data byte format' );
-    // }
+    overlaps.concat( [ { address: end, length: 0 } ] ).forEach( function( overlap ) {
 
-    let effectiveAddress = me.extendedAddress + record.address;
+      if( overlap.address > pos ) {
 
-    let block = Math.floor(effectiveAddress / me.blockSize);
-    let offset = (effectiveAddress % me.blockSize );
+        let index = me.findWritten( pos );
+
+        if( overlaps.length > 0 || !me.continueWritten( index, pos, overlap.address )) {
+          me.written.splice( index, 0, { address: pos, end: overlap.address, line: line, lastLine: line, recordLength: overlap.address - pos, step: 1 } );
+        }
+      }
+
+      pos = Math.max( pos, overlap.address + overlap.length );
+    });
+  }
 
-    //console.log( 'EFF: ', (effectiveAddress/2).toString(16), block, effectiveAddress / me.blockSize );     
 
-    // number of bytes we can write into block
-    let available = (me.blockSize - offset);
+  // Add the range written by the current line to the run next to it, if the
+  // record carries on from the one on the previous line (in either
+  // direction).  Returns false if it does not
+  continueWritten( index, start, end ) {
+
+    let me = this;
+    let line = me.linesInFile;
+    let previous = me.written[ index - 1 ];
+    let next = me.written[ index ];
 
-    if( available < record.data.length ) {
-      //console.log( 'split block: ', block, 'offset:', offset, available, record.data );
-      // all the bytes don't fit in one block
-      me.blockUpdate( block, offset, record.data.slice( 0, available ) );
-      me.blockUpdate( block+1, 0, record.data.slice( available ) );
-      //console.log( me.blocks[block], me.blocks[block+1] );
+    if( previous && previous.step === 1 && previous.end === start && previous.lastLine === line - 1 &&
+      previous.end - previous.address === (previous.lastLine - previous.line + 1) * previous.recordLength &&
+      end - start <= previous.recordLength ) {
 
+      previous.end = end;
+      previous.lastLine = line;
+      return true;
     }
-    else {
-      me.blockUpdate( block, offset, record.data );
+
+    if( next && next.address === end && next.line === line - 1 && next.lastLine === line - 1 &&
+      end - start === next.recordLength ) {
+
+      // the run now starts with this record, and goes back a line per record
+      next.address = start;
+      next.line = line;
+      next.lastLine = line;
+      next.step = -1;
+      return true;
     }
 
+    return false;
+  }
+
+
+  // Check whether a data record writes to addresses that earlier records
+  // wrote.  Each overlap is a warning, or an error (thrown) depending on
+  // the overlap policy
+  checkOverlaps( address, record ) {
+
+    let me = this;
+    let overlaps = me.findOverlaps( address, address + record.data.length );
+
+    overlaps.forEach( function( overlap ) {
+
+      let offset = overlap.address - address;
+      let identical = me.image.read( overlap.address, overlap.length ).equals( record.data.subarray( offset, offset + overlap.length ));
+
+      let err = me.lineError( 'overlap', me.addressColumn, record.type,
+        'Data at 0x' + overlap.address.toString(16) + ' (' + overlap.length + ' bytes) was already written on line ' + overlap.previousLine +
+        (identical ? ' with the same values' : '' ));
+
+      Object.assign( err.diagnostic, overlap, { identical: identical } );
+
+      if( me.overlapPolicy === 'error' ) {
+        throw err;
+      }
+
+      me.addDiagnostic( err, 'warning' );
+    });
+
+    me.recordWritten( address, address + record.data.length, overlaps );
+  }
+
+  // Store bytes in the image, and let any listener know where they went
+  writeData( address, bytes ) {
+    this.image.write( address, bytes );
+    this.emit( 'write', address, bytes.length );
+  }
+
+
+  // make sure an address record carries the expected number of data bytes
+  checkRecordLength( record, length ) {
+    if( record.data.length !== length ) {
+      throw this.lineError( 'record-length', 2, record.type, 'Invalid length for HEX record ' + record.type );
+    }
   }
 
 
@@ -191,96 +494,214 @@ module.exports = class HexFile {
         break;
 
       case EXT_SEGMENT_ADDR:
-        throw new Error( 'Unhandled HEX record ' + EXT_SEGMENT_ADDR );
+        // segment base; subsequent data addresses are offset by 16 * segment
+        me.checkRecordLength( record, 2 );
+        me.extendedAddress = ((record.data[0] << 8) + record.data[1]) * 16;
+        break;
 
       case START_SEGMENT_ADDR:
-        throw new Error( 'Unhandled HEX record ' + START_SEGMENT_ADDR );
+        // CS:IP register values; report the equivalent linear address
+        me.checkRecordLength( record, 4 );
+        me.startSegment = {
+          cs: (record.data[0] << 8) + record.data[1],
+          ip: (record.data[2] << 8) + record.data[3]
+        };
+        me.entryPoint = me.startSegment.cs * 16 + me.startSegment.ip;
+        break;
 
       case EXT_LINEAR_ADDR:
-        me.extendedAddress = (record.data[0] << 24) +
+        me.checkRecordLength( record, 2 );
+        me.extendedAddress = (record.data[0] * 0x1000000) +
                       (record.data[1] << 16);
         //console.log( 'Ext: ', me.extendedAddress.toString(16));             
         break;
 
       case START_LINEAR_ADDR:
-        throw new Error( 'Unhandled HEX record ' + START_LINEAR_ADDR );
+        // 32-bit execution start address (EIP)
+        me.checkRecordLength( record, 4 );
+        me.startSegment = null;
+        me.entryPoint = (record.data[0] * 0x1000000) +
+                      (record.data[1] << 16) +
+                      (record.data[2] << 8) +
+                      record.data[3];
+        break;
 
       default:
-        throw new Error( 'Unknown Record type: ' + record.type );
+        throw me.lineError( 'record-type', 8, record.type, 'Unknown record type ' + record.type );
+    }
+
+  }
+
+  // Clears the parser state before reading a new file
+  reset() {
+    let me = this;
+
+    me.image = new MemoryImage( { fillValue: me.fillValue } );
+    me.linesInFile = 0;
+    me.lineIndent = 0;
+    me.diagnostics = [];
+    me.written = [];
+    me.extendedAddress = 0;
+    me.entryPoint = null;
+    me.startSegment = null;
+    me.bytesRead = 0;
+  }
+
+  // Count the bytes read from the stream, and report progress periodically
+  trackProgress( stream ) {
+    let me = this;
+    let reported = 0;
+
+    stream.on('data', function( chunk ) {
+      me.bytesRead += chunk.length;
+
+      if( me.bytesRead - reported >= PROGRESS_INTERVAL ) {
+        reported = me.bytesRead;
+        me.emit( 'progress', me.bytesRead, me.totalBytes );
+      }
+    });
+
+    stream.on('end', function() {
+      me.emit( 'progress', me.bytesRead, me.totalBytes );
+    });
+  }
+
+  // Handles one (non-blank) line of the file
+  // Returns true if the line marks the end of the file
+  processLine( line ) {
+
+    let record = this.parseHexLine( line );
+
+    if( record.type === END_OF_FILE ) {
+      return true;
     }
 
+    this.processRecord( record );
+    return false;
+  }
+
+  // Returns the memory image once the whole file has been read
+  finish() {
+    this.image.entryPoint = this.entryPoint;
+
+    return this.image;
+  }
+
+  // Add a problem to the diagnostics list.  Errors that did not come from
+  // lineError() are attributed to the current line
+  addDiagnostic( err, severity ) {
+
+    let me = this;
+    let diagnostic = Object.assign( {
+      line: me.linesInFile,
+      column: null,
+      recordType: null,
+      reason: 'invalid',
+      message: err.message,
+    }, err.diagnostic, { severity: severity } );
+
+    me.diagnostics.push( diagnostic );
+
+    return diagnostic;
   }
 
-  // Reads a stream into an array of blockSize-d arrays
+  // Reads a stream into a MemoryImage
+  // options.size is the length of the stream, if known (for progress events)
+  // options.mode overrides the parser's mode ('strict' or 'lenient')
+  //
+  // Every problem found is added to the diagnostics list as
+  // { severity, line, column, recordType, reason, message }.  In strict mode
+  // any problem is an error.  In lenient mode bad lines are skipped, and
+  // a missing EOF record accepted, with a warning; an overlap is still an
+  // error if the overlap policy is 'error'.
+  //
   // Returns a promise that resolves when the entire file is read
-  // rejects if error occurs
-  loadStream( stream, blockSize ) {
+  // rejects if error occurs; the error has the list of diagnostics
+  loadStream( stream, options ) {
 
     let me = this;
 
+    options = options || {};
+
     return new Promise( function( resolve, reject ) {
 
-      me.blockSize = blockSize;
-      me.blocks = [];        
-      me.linesInFile = 0;
+      me.reset();
+      me.totalBytes = options.size || null;
 
-      let errors = 0;
+      let lenient = ('lenient' === (options.mode || me.mode));
+      let problem = lenient ? 'warning' : 'error';
       let complete = 0;
-      let errorText = '';
+      let finished = false;
 
       // when done for any reason, close out the promise
       function done() {
-        
-        if( errors > 0 ){
 
-          reject( new Error( 'Error(s) occured reading the HEX file: ' + errorText ));
+        if( finished ) {
+          return;
+        }
+        finished = true;
 
+        if( !complete ) {
+          me.addDiagnostic( me.lineError( 'missing-eof', null, null, 'Missing end of file record' ), problem );
         }
-        else if( complete ) {
 
-          resolve( me.blocks );
+        let errors = me.diagnostics.filter( function( diagnostic ) { return diagnostic.severity === 'error'; });
+
+        if( errors.length > 0 ){
+
+          let err = new Error( 'Error(s) occured reading the ' + me.fileType + ' file: ' + errors[0].message );
+
+          err.diagnostics = me.diagnostics;
+          reject( err );
         }
         else {
-          reject(new Error( 'Incomplete file'));
+
+          resolve( me.finish() );
         }
       }
 
+      me.trackProgress( stream );
+
       let lineReader = require('readline').createInterface({
-        input: stream
+        input: stream,
+        crlfDelay: Infinity
       });
 
-      stream.on('error', function () {
-        errors = 1;
-        errorText = 'File read error';
+      stream.on('error', function ( cause ) {
+        let err = me.readError( cause );
+
+        err.diagnostic = { line: null, reason: 'read-error' };
+        me.addDiagnostic( err, 'error' );
         done();
       });
 
+      // readline passes on errors from the stream, which are handled above
+      lineReader.on('error', function () {});
+
 
 
       lineReader.on('line', function (line) {
         me.linesInFile++;
 
-        line = line.trim();
+        let text = line.trim();
+
+        me.lineIndent = line.length - line.trimStart().length;
 
-        if( line > '' ) {
+        if( text > '' ) {
 
           try {
-            let record = me.parseHexLine( line );
+            if( complete ) {
+              throw me.lineError( 'after-eof', 1, null, 'Data after end of file record' );
+            }
 
-            if( record.type === END_OF_FILE ) {
+            if( me.processLine( text )) {
               complete = 1;
             }
-            else {
-              me.processRecord( record );
-            }
           }
           catch( e ) {
-
-            if( errorText === '' ) {
-              errorText = e.message;
-            }
-
-            errors++;
+            // an overlap is only thrown when the overlap policy is 'error',
+            // which holds even in lenient mode
+            me.addDiagnostic( e, (e.diagnostic && e.diagnostic.reason === 'overlap') ? 'error' : problem );
           }
 
         }
@@ -294,26 +715,84 @@ module.exports = class HexFile {
   }
 
 
-  // Reads a file into an array of blockSize-d arrays
-  // Returns the array.
+  // Creates the error for a stream that could not be read
+  readError( cause ) {
+    return new Error( 'File read error' + ((cause && cause.message) ? ': ' + cause.message : '' ));
+  }
+
+  // Reads a file into a MemoryImage
+  // A gzip or zlib compressed file is decompressed as it is read (unless
+  // decompress has been set to false)
+  // Returns a promise that resolves to the image.
   // rejects if file not found
-  loadFile( filename, blockSize ) {
+  loadFile( filename ) {
+
+    const fs = require('fs');
 
     let stream;
+    let size = null;
+
     try {
 
-      stream = require('fs').createReadStream(filename);
+      size = fs.statSync( filename ).size;
+      stream = fs.createReadStream(filename, { highWaterMark: 0x10000 });
     }
     catch( err ) {
       return Promise.reject( err );
     }
 
-    return this.loadStream( stream, blockSize );
+    if( this.decompress && Decompress.isCompressedFile( filename )) {
+
+      // the size of the decompressed data is not known
+      stream = Decompress.createDecompressStream( stream );
+      size = null;
+    }
+
+    return this.loadStream( stream, { size: size } );
+
+  }
+
+  // Parses HEX-formatted text that is already in memory
+  // Returns a promise that resolves to the MemoryImage
+  loadString( text ) {
+
+    return this.loadStream( Readable.from( [ text ] ), { size: Buffer.byteLength( text ) } );
 
   }
 
   // create a 'hex file' containing the data in the buffer
-  bufferToHexString( address, buf ) {
+  bufferToHexString( address, buf, options ) {
+
+    return this.segmentsToHexString( [ { address: address, data: buf } ], options );
+  }
+
+  // create a 'hex file' containing the data in a MemoryImage
+  imageToHexString( image, options ) {
+
+    options = Object.assign( { entryPoint: image.entryPoint }, options );
+
+    return this.segmentsToHexString( image.chunks(), options );
+  }
 
+  // create a 'hex file' from an array of { address, data } segments
+  segmentsToHexString( segments, options ) {
+
+    options = options || {};
+
+    let eol = options.eol || '\n';
+    let lines = [];
+
+    for( let line of generateHexLines( segments, options )) {
+      lines.push( line );
+    }
+
+    return lines.join( eol ) + eol;
   }
-};
\ No newline at end of file
+};
+
+module.exports.ReadableHexStream = ReadableHexStream;
+
+// Returns true if the string appears to be HEX file content rather than a filename
+module.exports.isHexString = function( text ) {
+  return /^\s*:[0-9A-Fa-f]{10}/.test( text );
+};
@@ -0,0 +1,179 @@
+/**
+ * Combines several memory images into one
+ *
+ * The images are layered in order (eg bootloader, application, calibration
+ * overlay).  Where two images have data at the same address, the policy
+ * decides what happens:
+ *
+ *   'error'          any overlap is an error (the default)
+ *   'first-wins'     the data from the earlier image is kept
+ *   'last-wins'      the data from the later image replaces it
+ *   'identical'      overlaps are allowed only if the bytes are the same
+ *
+ * Every overlap is reported, so the caller can check what was resolved.
+ * The merged MemoryImage can be passed directly to start(), or written out
+ * with HexFile.imageToHexString().
+ */
+
+const MemoryImage = require('./MemoryImage');
+const Formats = require('./formats');
+const hex = require('./util').hex;
+
+const POLICIES = [ 'error', 'first-wins', 'last-wins', 'identical' ];
+
+
+/**
+ * Merge a list of memory images
+ *
+ * @param      {Array}   images   The MemoryImages, lowest layer first
+ * @param      {object}  [options]  The options
+ * @param      {string}  [options.policy]  How to handle overlaps (default 'error')
+ * @param      {Array}   [options.names]   Names of the images, for reporting
+ * @return     {object}  { image, overlaps } where overlaps is a list of
+ *                       { address, length, layers, sources, identical, winner };
+ *                       layers holds the indexes of the two images, and
+ *                       sources their names
+ */
+function mergeImages( images, options ) {
+
+  options = options || {};
+
+  let policy = options.policy || 'error';
+  let names = options.names || [];
+
+  if( POLICIES.indexOf( policy ) === -1 ) {
+    throw new Error( 'Unknown merge policy: ' + policy );
+  }
+
+  function nameOf( layer ) {
+    return names[ layer ] || ('image ' + layer);
+  }
+
+  let result = new MemoryImage( { fillValue: images.length ? images[0].fillValue : undefined } );
+  let overlaps = [];
+
+  // which image supplied each populated range of the result; a sorted,
+  // non-overlapping list of { address, end, layer }
+  let owners = [];
+
+  // record that the range now comes from the given image
+  function setOwner( start, end, layer ) {
+
+    let updated = [];
+
+    owners.forEach( function( owner ) {
+      if( owner.end <= start || owner.address >= end ) {
+        updated.push( owner );
+      }
+      else {
+        if( owner.address < start ) {
+          updated.push( { address: owner.address, end: start, layer: owner.layer } );
+        }
+        if( owner.end > end ) {
+          updated.push( { address: end, end: owner.end, layer: owner.layer } );
+        }
+      }
+    });
+
+    updated.push( { address: start, end: end, layer: layer } );
+    updated.sort( function( a, b ) { return a.address - b.address; });
+
+    owners = updated;
+  }
+
+  images.forEach( function( image, layer ) {
+
+    image.chunks().forEach( function( chunk ) {
+
+      let start = chunk.address;
+      let end = start + chunk.data.length;
+
+      let covered = owners.filter( function( owner ) {
+        return owner.address < end && owner.end > start;
+      });
+
+      covered.forEach( function( owner ) {
+
+        let from = Math.max( start, owner.address );
+        let to = Math.min( end, owner.end );
+        let identical = result.read( from, to - from ).equals( chunk.data.subarray( from - start, to - start ));
+
+        let overlap = {
+          address: from,
+          length: to - from,
+          layers: [ owner.layer, layer ],
+          sources: [ nameOf( owner.layer ), nameOf( layer ) ],
+          identical: identical,
+          winner: (policy === 'last-wins') ? layer : owner.layer,
+        };
+
+        if( policy === 'error' || (policy === 'identical' && !identical )) {
+          throw new Error( 'Images overlap at ' + hex( from ) + '-' + hex( to - 1 ) + ': ' +
+            overlap.sources[0] + ' and ' + overlap.sources[1] +
+            (identical ? '' : ' contain different data' ));
+        }
+
+        overlaps.push( overlap );
+      });
+
+      if( policy === 'first-wins' ) {
+
+        // only fill the gaps between the data that is already there
+        let pos = start;
+
+        covered.concat( [ { address: end, end: end } ] ).forEach( function( owner ) {
+
+          let gapEnd = Math.min( end, owner.address );
+
+          if( gapEnd > pos ) {
+            result.write( pos, chunk.data.subarray( pos - start, gapEnd - start ));
+            setOwner( pos, gapEnd, layer );
+          }
+
+          pos = Math.max( pos, owner.end );
+        });
+      }
+      else {
+        result.write( start, chunk.data );
+        setOwner( start, end, layer );
+      }
+    });
+
+    // the entry point follows the same policy as the data
+    if( null !== image.entryPoint && (null === result.entryPoint || policy === 'last-wins' )) {
+      result.entryPoint = image.entryPoint;
+    }
+  });
+
+  return { image: result, overlaps: overlaps };
+}
+
+
+/**
+ * Load several image files and merge them
+ *
+ * The format of each file is determined from its name (or content), as for start()
+ *
+ * @param      {Array}   files    The filenames, lowest layer first
+ * @param      {object}  [options]  The options for mergeImages(); the
+ *                                  filenames are used as the names
+ * @return     {Promise}  resolves with the result of mergeImages()
+ */
+function mergeFiles( files, options ) {
+
+  let loaders = files.map( function( filename ) {
+    return Formats.createParser( Formats.fromFile( filename )).loadFile( filename );
+  });
+
+  return Promise.all( loaders )
+  .then( function( images ) {
+    return mergeImages( images, Object.assign( { names: files }, options ));
+  });
+}
+
+
+module.exports = {
+  POLICIES: POLICIES,
+  mergeImages: mergeImages,
+  mergeFiles: mergeFiles,
+};
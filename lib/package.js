@@ -0,0 +1,367 @@
+/**
+ * Firmware packages
+ *
+ * A package is a single file that holds everything needed to load a product
+ * release: a manifest describing the device it is for, and an image for
+ * each memory space.  It is a JSON document (which may be gzip compressed)
+ * with the images stored as Intel HEX text:
+ *
+ *   {
+ *     "format": "mb-loader-package",
+ *     "formatVersion": 1,
+ *     "productCode": 33,
+ *     "minBootloaderVersion": "4.1",
+ *     "version": "2.3.0",
+ *     "images": [
+ *       { "space": 0, "name": "Application", "crc": 28049, "hex": ":10000000..." }
+ *     ]
+ *   }
+ *
+ * productCode is compared with the first byte of the device's ENQ response,
+ * and the bootloader version must be at least minBootloaderVersion.  Each
+ * image's crc (if present) is the checksum the device reports on VERIFY,
+ * which is also what ModbusBootloader computes from the image.
+ */
+
+const HexFile = require('./intelhex');
+const MemoryImage = require('./MemoryImage');
+const Decompress = require('./decompress');
+
+const FORMAT = 'mb-loader-package';
+const FORMAT_VERSION = 1;
+
+
+// Returns an error describing what is wrong with the package
+function invalid( reason ) {
+  return new Error( 'Invalid firmware package: ' + reason );
+}
+
+
+// Converts a 'major.minor' version string to a number that can be compared
+// with ModbusBootloader.blScalarVersion; returns null if it is not valid
+function scalarVersion( version ) {
+
+  let match = /^(\d+)\.(\d+)$/.exec( String( version ));
+
+  return match ? parseInt( match[1], 10 ) * 256 + parseInt( match[2], 10 ) : null;
+}
+
+
+class FirmwarePackage {
+
+  /**
+   * Create a package
+   *
+   * @param      {object}  [manifest]  The manifest
+   * @param      {number}  [manifest.productCode]  The product code the device reports
+   * @param      {string}  [manifest.minBootloaderVersion]  eg '4.1'
+   * @param      {string}  [manifest.version]  The version of the firmware
+   */
+  constructor( manifest ) {
+
+    manifest = manifest || {};
+
+    let me = this;
+
+    // null means any device
+    me.productCode = ('number' === typeof( manifest.productCode )) ? manifest.productCode : null;
+
+    // null means any (supported) bootloader
+    me.minBootloaderVersion = manifest.minBootloaderVersion || null;
+
+    me.version = manifest.version || '';
+
+    // { space, name, crc, image } for each memory space, in order of space
+    me.images = [];
+
+    if( null !== me.minBootloaderVersion && null === scalarVersion( me.minBootloaderVersion )) {
+      throw invalid( 'minBootloaderVersion must be of the form \'major.minor\'' );
+    }
+  }
+
+
+  /**
+   * Add (or replace) the image for a memory space
+   *
+   * @param      {number}       space    The index of the space in the BootloaderTarget
+   * @param      {MemoryImage}  image    The image
+   * @param      {object}       [options]  The options
+   * @param      {string}       [options.name]  The name of the space, checked against the target
+   * @param      {number}       [options.crc]   The checksum the device should report on VERIFY
+   * @return     {FirmwarePackage}  this package
+   */
+  addImage( space, image, options ) {
+
+    options = options || {};
+
+    let me = this;
+
+    if( !Number.isInteger( space ) || space < 0 ) {
+      throw invalid( 'space must be a non-negative integer' );
+    }
+
+    if( !(image instanceof MemoryImage )) {
+      throw invalid( 'the image for space ' + space + ' is not a MemoryImage' );
+    }
+
+    me.images = me.images.filter( function( entry ) { return entry.space !== space; });
+
+    me.images.push( {
+      space: space,
+      name: options.name || null,
+      crc: ('number' === typeof( options.crc )) ? options.crc : null,
+      image: image,
+    });
+
+    me.images.sort( function( a, b ) { return a.space - b.space; });
+
+    return me;
+  }
+
+
+  /**
+   * Find the image for a memory space
+   *
+   * @param      {number}  space   The index of the space
+   * @return     {object}  { space, name, crc, image }, or null if there is none
+   */
+  imageFor( space ) {
+    return this.images.find( function( entry ) { return entry.space === space; }) || null;
+  }
+
+
+  /**
+   * Check whether the package can be loaded into a device
+   *
+   * @param      {number}  productCode    The product code from the ENQ response
+   * @param      {number}  versionMajor   The bootloader version, from the ENQ response
+   * @param      {number}  versionMinor
+   * @return     {(boolean|string)}  true if it can, otherwise the reason why not
+   */
+  checkDevice( productCode, versionMajor, versionMinor ) {
+
+    let me = this;
+
+    if( null !== me.productCode && productCode !== me.productCode ) {
+      return 'Package is for product code ' + me.productCode + ' but the device is ' + productCode;
+    }
+
+    if( null !== me.minBootloaderVersion &&
+      versionMajor * 256 + versionMinor < scalarVersion( me.minBootloaderVersion )) {
+      return 'Package needs bootloader version ' + me.minBootloaderVersion +
+        ' or later but the device has ' + versionMajor + '.' + versionMinor;
+    }
+
+    return true;
+  }
+
+
+  /**
+   * Check that the package has an image for each space it is to be loaded
+   * into, and no images for spaces the target does not have
+   *
+   * @param      {BootloaderTarget}  target  The target
+   * @return     {Array}  The indexes of the spaces that have an image
+   */
+  spacesFor( target ) {
+
+    return this.images.map( function( entry ) {
+
+      let space = target.spaces[ entry.space ];
+
+      if( !space ) {
+        throw new Error( 'Package has an image for space ' + entry.space + ' which the target does not have' );
+      }
+
+      if( entry.name && space.name && entry.name !== space.name ) {
+        throw new Error( 'Package image for space ' + entry.space + ' is for \'' + entry.name +
+          '\' but the target space is \'' + space.name + '\'' );
+      }
+
+      return entry.space;
+    });
+  }
+
+
+  /**
+   * The manifest, without the images
+   *
+   * @return     {object}  The manifest
+   */
+  manifest() {
+
+    let me = this;
+
+    return {
+      format: FORMAT,
+      formatVersion: FORMAT_VERSION,
+      productCode: me.productCode,
+      minBootloaderVersion: me.minBootloaderVersion,
+      version: me.version,
+      images: me.images.map( function( entry ) {
+        return { space: entry.space, name: entry.name, crc: entry.crc };
+      }),
+    };
+  }
+
+
+  /**
+   * Produce the package file contents
+   *
+   * @return     {string}  The package, as JSON text
+   */
+  toString() {
+
+    let me = this;
+    let hex = new HexFile();
+    let manifest = me.manifest();
+
+    manifest.images.forEach( function( entry, i ) {
+      entry.hex = hex.imageToHexString( me.images[i].image );
+    });
+
+    return JSON.stringify( manifest, null, 2 ) + '\n';
+  }
+
+
+  /**
+   * Produce the package file contents as a Buffer
+   *
+   * @param      {object}   [options]  The options
+   * @param      {boolean}  [options.compress]  gzip the package
+   * @return     {Buffer}   The package
+   */
+  toBuffer( options ) {
+
+    const zlib = require('zlib');
+
+    let buf = Buffer.from( this.toString() );
+
+    return (options && options.compress) ? zlib.gzipSync( buf ) : buf;
+  }
+
+
+  /**
+   * Write the package to a file
+   *
+   * @param      {string}   filename  The filename
+   * @param      {object}   [options]  The options for toBuffer()
+   * @return     {Promise}  resolves when the file has been written
+   */
+  writeFile( filename, options ) {
+
+    const fs = require('fs');
+
+    let me = this;
+
+    return new Promise( function( resolve, reject ) {
+      fs.writeFile( filename, me.toBuffer( options ), function( err ) {
+        if( err ) {
+          reject( err );
+        }
+        else {
+          resolve();
+        }
+      });
+    });
+  }
+
+
+  /**
+   * Read a package from its contents
+   *
+   * @param      {(string|Uint8Array)}  data    The package (which may be compressed)
+   * @return     {Promise}  resolves with the FirmwarePackage
+   */
+  static parse( data ) {
+
+    let manifest;
+    let pkg;
+
+    try {
+
+      if( data instanceof Uint8Array ) {
+        data = (Decompress.isCompressed( data ) ? Decompress.decompressBuffer( data ) : Buffer.from( data )).toString();
+      }
+
+      try {
+        manifest = JSON.parse( data );
+      }
+      catch( err ) {
+        throw invalid( err.message );
+      }
+
+      if( !manifest || manifest.format !== FORMAT ) {
+        throw invalid( 'not an ' + FORMAT + ' file' );
+      }
+
+      if( manifest.formatVersion !== FORMAT_VERSION ) {
+        throw invalid( 'unsupported format version ' + manifest.formatVersion );
+      }
+
+      if( !Array.isArray( manifest.images )) {
+        throw invalid( 'no images' );
+      }
+
+      pkg = new FirmwarePackage( manifest );
+    }
+    catch( err ) {
+      return Promise.reject( err );
+    }
+
+    let loaders = manifest.images.map( function( entry ) {
+
+      if( 'string' !== typeof( entry.hex )) {
+        return Promise.reject( invalid( 'no HEX data for space ' + entry.space ));
+      }
+
+      return new HexFile().loadString( entry.hex );
+    });
+
+    return Promise.all( loaders )
+    .then( function( images ) {
+
+      images.forEach( function( image, i ) {
+        let entry = manifest.images[i];
+
+        if( pkg.imageFor( entry.space )) {
+          throw invalid( 'more than one image for space ' + entry.space );
+        }
+
+        pkg.addImage( entry.space, image, { name: entry.name, crc: entry.crc });
+      });
+
+      return pkg;
+    });
+  }
+
+
+  /**
+   * Read a package file
+   *
+   * @param      {string}   filename  The filename
+   * @return     {Promise}  resolves with the FirmwarePackage
+   */
+  static loadFile( filename ) {
+
+    const fs = require('fs');
+
+    return new Promise( function( resolve, reject ) {
+      fs.readFile( filename, function( err, data ) {
+        if( err ) {
+          reject( err );
+        }
+        else {
+          resolve( FirmwarePackage.parse( data ));
+        }
+      });
+    });
+  }
+
+}
+
+
+FirmwarePackage.FORMAT = FORMAT;
+FirmwarePackage.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = FirmwarePackage;
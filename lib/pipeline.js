@@ -0,0 +1,249 @@
+/**
+ * Releases blocks of an image for sending while the image is still loading
+ *
+ * The parser reports each write to its MemoryImage.  Image files are
+ * normally written in ascending address order, so once data arrives for a
+ * block, every block below it is complete: it is added to the checksum and,
+ * if it is to be sent, queued for the bootloader.  Data that arrives for a
+ * block that has already been released is an error, since that block may
+ * already be in the device.
+ */
+
+const EventEmitter = require('events').EventEmitter;
+
+const MemoryImage = require('./MemoryImage');
+
+
+module.exports = class BlockPipeline extends EventEmitter {
+
+  /**
+   * @param      {object}    space    The memory space being programmed
+   * @param      {object}    options  The options
+   * @param      {number}    options.start  Start of the checksum range (image address)
+   * @param      {number}    options.end    End of the checksum range (image address)
+   * @param      {Function}  options.shouldSend  Called with (index, block), returns
+   *                                             true if the block is to be sent;
+   *                                             may throw to stop the pipeline
+   * @param      {Function}  [options.checksum]  Called with (image) for the checksum
+   *                                             once the whole image is loaded, if
+   *                                             it is not built up as blocks complete
+   */
+  constructor( space, options ) {
+
+    super();
+
+    let me = this;
+
+    me.space = space;
+    me.blockSize = space.hexBlock;
+    me.start = options.start;
+    me.end = options.end;
+    me.shouldSend = options.shouldSend;
+    me.checksum = options.checksum || function( image ) { return space.checksum( me.start, me.end, me.blockSize, image ); };
+
+    // the parser that is loading the image
+    me.parser = null;
+
+    // the highest block index that is complete
+    me.released = -1;
+
+    // the indexes of the blocks to be sent, and how many have been taken
+    me.sendList = [];
+    me.position = 0;
+
+    // blocks in the checksum range; the next one to add to the checksum,
+    // and the end of the range (exclusive)
+    me.crcNext = Math.floor( me.start / me.blockSize );
+    me.crcEnd = me.crcNext + Math.max( 0, Math.ceil( (me.end - me.start) / me.blockSize ));
+
+    // the checksum can only be built up as we go if the space supports it
+    // and the range is a whole number of blocks; otherwise it is calculated
+    // once the whole image is loaded.  The checksum of an empty range is
+    // the initial value.
+    me.incremental = ('function' === typeof( space.checksum.update )) &&
+      (me.start % me.blockSize) === 0 && (me.end % me.blockSize) === 0;
+    me.crc = me.incremental ? space.checksum( me.start, me.start, me.blockSize, new MemoryImage() ) : null;
+
+    // fraction of the input that has been parsed, if known
+    me.parsed = null;
+
+    me.done = false;
+    me.error = null;
+  }
+
+
+  // The image being loaded (the parser creates it when loading starts)
+  get image() {
+    return this.parser.image;
+  }
+
+
+  /**
+   * Follow the progress of a parser
+   *
+   * @param      {HexFile}  parser  The parser
+   */
+  attach( parser ) {
+
+    let me = this;
+
+    me.parser = parser;
+
+    parser.on( 'write', function( address ) {
+      me.onWrite( address );
+    });
+
+    parser.on( 'progress', function( bytesRead, totalBytes ) {
+      me.parsed = totalBytes ? bytesRead / totalBytes : null;
+    });
+  }
+
+
+  // Data has been stored at the address; everything below its block is complete
+  onWrite( address ) {
+
+    let me = this;
+    let index = Math.floor( address / me.blockSize );
+
+    if( me.error || me.done ) {
+      return;
+    }
+
+    if( index <= me.released ) {
+      me.fail( new Error( 'Image data at 0x' + address.toString(16) + ' is not in ascending address order, so it cannot be loaded in pipelined mode' ));
+    }
+    else {
+      try {
+        me.release( index - 1 );
+      }
+      catch( err ) {
+        me.fail( err );
+      }
+    }
+  }
+
+
+  // Add the blocks up to and including 'last' to the checksum, and queue
+  // the ones that are to be sent
+  release( last ) {
+
+    let me = this;
+    let image = me.image;
+    let blockSize = me.blockSize;
+    let queued = me.sendList.length;
+
+    if( me.incremental ) {
+      for( ; me.crcNext < Math.min( last + 1, me.crcEnd ); me.crcNext++ ) {
+        me.crc = me.space.checksum.update( me.crc, me.crcNext, blockSize, image );
+      }
+    }
+
+    // skip straight to the blocks that hold data
+    let index = me.released + 1;
+
+    while( index <= last ) {
+
+      let address = image.nextDataAddress( index * blockSize );
+
+      if( null === address ) {
+        break;
+      }
+
+      index = Math.floor( address / blockSize );
+
+      if( index <= last && me.shouldSend( index, image.read( index * blockSize, blockSize ))) {
+        me.sendList.push( index );
+      }
+
+      index++;
+    }
+
+    me.released = last;
+
+    if( me.sendList.length > queued ) {
+      me.emit( 'change' );
+    }
+  }
+
+
+  /**
+   * Called when the image has been loaded completely
+   *
+   * @param      {MemoryImage}  image   The image
+   */
+  finish( image ) {
+
+    let me = this;
+
+    if( !me.error ) {
+
+      try {
+        me.release( Infinity );
+      }
+      catch( err ) {
+        me.fail( err );
+        return;
+      }
+
+      if( !me.incremental ) {
+        me.crc = me.checksum( image );
+      }
+
+      me.done = true;
+      me.emit( 'change' );
+    }
+  }
+
+
+  /**
+   * Stop the pipeline.  The error is thrown to the consumer by next()
+   *
+   * @param      {Error}  err     The reason
+   */
+  fail( err ) {
+
+    if( !this.error ) {
+      this.error = err;
+      this.emit( 'change' );
+    }
+  }
+
+
+  /**
+   * Wait for the next block to send
+   *
+   * @return     {Promise}  resolves with the block index, or null when all
+   *                        blocks have been taken; rejects if loading failed
+   */
+  next() {
+
+    let me = this;
+
+    if( me.error ) {
+      return Promise.reject( me.error );
+    }
+
+    if( me.done || me.position < me.sendList.length ) {
+      return Promise.resolve(( me.position < me.sendList.length ) ? me.sendList[ me.position++ ] : null );
+    }
+
+    // wait for something to change, and look again
+    return new Promise( function( resolve ) { me.once( 'change', resolve ); })
+    .then( function() { return me.next(); });
+  }
+
+
+  // Best guess at the total number of blocks that will be sent
+  estimateTotal() {
+
+    let me = this;
+    let count = me.sendList.length;
+
+    if( !me.done && me.parsed ) {
+      count = Math.max( count, Math.round( count / me.parsed ));
+    }
+
+    return Math.max( count, 1 );
+  }
+
+};
@@ -0,0 +1,106 @@
+/**
+ * Keeps or removes named address ranges of a memory image
+ *
+ * A space can list the ranges to load (include) and the ranges not to load
+ * (exclude), each as { name, start, end } in device addresses with end
+ * exclusive.  If there are include ranges, any data outside all of them is
+ * removed; then any data inside an exclude range is removed.  For example,
+ * to load only a string table as a patch:
+ *
+ *   includeRanges: [ { name: 'Strings', start: 0x7000, end: 0x8000 } ]
+ *
+ * or to leave the EEPROM contents of a combined HEX file alone:
+ *
+ *   excludeRanges: [ { name: 'EEPROM', start: 0xF000, end: 0xF100 } ]
+ */
+
+const hex = require('./util').hex;
+
+// the number of bytes of data in [start, end)
+function countData( image, start, end ) {
+
+  return image.ranges().reduce( function( total, range ) {
+    return total + Math.max( 0, Math.min( end, range.address + range.length ) - Math.max( start, range.address ));
+  }, 0 );
+}
+
+
+/**
+ * Apply include and exclude ranges to an image
+ *
+ * @param      {MemoryImage}  image    The image (which is changed)
+ * @param      {object}       options  The options
+ * @param      {Array}        [options.include]  The { name, start, end } ranges to keep
+ * @param      {Array}        [options.exclude]  The { name, start, end } ranges to remove
+ * @param      {number}       [options.addressing]  Image addresses per device address
+ * @param      {number}       [options.dataOffset]  Added to image addresses to give device addresses
+ * @return     {Array}  { action, name, start, end, bytes } for each range, where
+ *                      action is 'include' or 'exclude' and bytes is the amount
+ *                      of data kept or removed; an include entry named null
+ *                      counts the data removed from outside the include ranges
+ */
+function applyRanges( image, options ) {
+
+  let addressing = options.addressing || 1;
+  let dataOffset = options.dataOffset || 0;
+  let report = [];
+
+  // checks a range, and returns it in image addresses
+  function toImage( range ) {
+
+    if( !Number.isInteger( range.start ) || !Number.isInteger( range.end ) || range.end <= range.start ) {
+      throw new Error( 'Address range ' + (range.name || '') + ' must have a start below its end' );
+    }
+
+    return {
+      name: range.name || (hex( range.start ) + '-' + hex( range.end - 1 )),
+      start: range.start,
+      end: range.end,
+      from: (range.start - dataOffset) * addressing,
+      to: (range.end - dataOffset) * addressing,
+    };
+  }
+
+  let include = (options.include || []).map( toImage );
+  let exclude = (options.exclude || []).map( toImage );
+
+  if( include.length > 0 ) {
+
+    include.forEach( function( range ) {
+      report.push( { action: 'include', name: range.name, start: range.start, end: range.end, bytes: countData( image, range.from, range.to ) });
+    });
+
+    // remove everything before, between and after the include ranges
+    let ranges = image.ranges();
+    let top = ranges.length ? ranges[ ranges.length - 1 ].address + ranges[ ranges.length - 1 ].length : 0;
+    let sorted = include.slice().sort( function( a, b ) { return a.from - b.from; });
+    let removed = 0;
+    let pos = 0;
+
+    sorted.concat( [ { from: top, to: top } ] ).forEach( function( range ) {
+
+      let end = Math.min( range.from, top );
+
+      if( end > pos ) {
+        removed += countData( image, pos, end );
+        image.remove( pos, end );
+      }
+
+      pos = Math.max( pos, range.to );
+    });
+
+    report.push( { action: 'include', name: null, start: null, end: null, bytes: removed });
+  }
+
+  exclude.forEach( function( range ) {
+    report.push( { action: 'exclude', name: range.name, start: range.start, end: range.end, bytes: countData( image, range.from, range.to ) });
+    image.remove( range.from, range.to );
+  });
+
+  return report;
+}
+
+
+module.exports = {
+  applyRanges: applyRanges,
+};
@@ -0,0 +1,173 @@
+/**
+ * Relocates sections of a memory image
+ *
+ * A remap table is a list of { from, to, length } entries: the data in
+ * [from, from + length) is moved to [to, to + length).  Addresses are those
+ * of the memory space (the HEX file address divided by the space's
+ * addressing, before dataOffset is added), so for a PIC24 space they are
+ * program memory addresses as used by the linker.
+ *
+ * All entries are applied at once, so an entry always moves the data that
+ * was in the file, even if another entry moves data to or from the same
+ * addresses.  Moving data over data that stays where it is is an error.
+ */
+
+const hex = require('./util').hex;
+
+// checks a table entry, and returns it in image addresses
+function toImageRange( entry, addressing ) {
+
+  [ 'from', 'to', 'length' ].forEach( function( key ) {
+    if( !Number.isInteger( entry[key] ) || entry[key] < 0 ) {
+      throw new Error( 'Remap entry ' + key + ' must be a non-negative integer' );
+    }
+  });
+
+  if( entry.length === 0 ) {
+    throw new Error( 'Remap entry at ' + hex( entry.from ) + ' has no length' );
+  }
+
+  return {
+    from: entry.from * addressing,
+    to: entry.to * addressing,
+    length: entry.length * addressing,
+  };
+}
+
+
+// Returns the range being moved that holds the address, if any
+function rangeHolding( ranges, address ) {
+  return ranges.find( function( range ) {
+    return address >= range.from && address < range.from + range.length;
+  });
+}
+
+
+// Returns the first address in [start, end) that holds data and is not in
+// one of the ranges being moved, or null if there is none
+function findStaticData( image, start, end, ranges ) {
+
+  let address = image.nextDataAddress( start );
+
+  while( null !== address && address < end ) {
+
+    let source = rangeHolding( ranges, address );
+
+    if( !source ) {
+      return address;
+    }
+
+    address = image.nextDataAddress( source.from + source.length );
+  }
+
+  return null;
+}
+
+
+// finds a pair of ranges (with the given start key) that overlap
+function findOverlap( ranges, key ) {
+
+  let sorted = ranges.slice().sort( function( a, b ) { return a[key] - b[key]; });
+
+  for( let i = 1; i < sorted.length; i++ ) {
+    if( sorted[i][key] < sorted[i - 1][key] + sorted[i - 1].length ) {
+      return [ sorted[i - 1], sorted[i] ];
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Apply a remap table to an image
+ *
+ * @param      {MemoryImage}  image       The image (which is changed)
+ * @param      {Array}        table       The { from, to, length } entries
+ * @param      {number}       [addressing]  Image addresses per space address (default 1)
+ * @return     {Array}  For each entry, { from, to, length, bytes } where bytes
+ *                      is the amount of data that was moved
+ */
+function remapImage( image, table, addressing ) {
+
+  addressing = addressing || 1;
+
+  let ranges = table.map( function( entry ) {
+    return toImageRange( entry, addressing );
+  });
+
+  let overlap = findOverlap( ranges, 'from' );
+
+  if( overlap ) {
+    throw new Error( 'Remap entries at ' + hex( overlap[0].from / addressing ) + ' and ' +
+      hex( overlap[1].from / addressing ) + ' move the same data' );
+  }
+
+  overlap = findOverlap( ranges, 'to' );
+
+  if( overlap ) {
+    throw new Error( 'Remap entries at ' + hex( overlap[0].from / addressing ) + ' and ' +
+      hex( overlap[1].from / addressing ) + ' move data to the same place' );
+  }
+
+  // data that stays where it is must not be overwritten
+  ranges.forEach( function( range ) {
+
+    let found = findStaticData( image, range.to, range.to + range.length, ranges );
+
+    if( null !== found ) {
+      throw new Error( 'Remapping ' + hex( range.from / addressing ) + ' to ' + hex( range.to / addressing ) +
+        ' would overwrite data at ' + hex( Math.floor( found / addressing )));
+    }
+  });
+
+  // take out the data to be moved (copied, since the image may reuse its buffers)
+  let moving = ranges.map( function( range ) {
+
+    let end = range.from + range.length;
+    let pieces = [];
+
+    image.chunks().forEach( function( chunk ) {
+
+      let start = Math.max( chunk.address, range.from );
+      let stop = Math.min( chunk.address + chunk.data.length, end );
+
+      if( start < stop ) {
+        pieces.push( {
+          address: start - range.from + range.to,
+          data: Buffer.from( chunk.data.subarray( start - chunk.address, stop - chunk.address )),
+        });
+      }
+    });
+
+    return pieces;
+  });
+
+  let entryPoint = image.entryPoint;
+
+  ranges.forEach( function( range ) {
+
+    image.remove( range.from, range.from + range.length );
+
+    if( null !== entryPoint && entryPoint >= range.from && entryPoint < range.from + range.length ) {
+      image.entryPoint = entryPoint - range.from + range.to;
+    }
+  });
+
+  return moving.map( function( pieces, i ) {
+
+    let bytes = 0;
+
+    pieces.forEach( function( piece ) {
+      image.write( piece.address, piece.data );
+      bytes += piece.data.length;
+    });
+
+    return { from: table[i].from, to: table[i].to, length: table[i].length, bytes: bytes };
+  });
+}
+
+
+module.exports = {
+  remapImage: remapImage,
+};
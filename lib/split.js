@@ -0,0 +1,119 @@
+/**
+ * Divides a combined image into one image for each memory space
+ *
+ * PIC16 and PIC18 builds put the application code, EEPROM data (at
+ * 0xF00000) and configuration words in one HEX file.  Each space that can
+ * take part of such a file lists the HEX file address ranges that belong
+ * to it as hexRanges: [{ start, end }] (end exclusive).  The data in those
+ * ranges is copied to the space's image, unchanged; the space's own
+ * dataOffset and addressing are applied when it is loaded as usual.
+ */
+
+const MemoryImage = require('./MemoryImage');
+const hex = require('./util').hex;
+
+/**
+ * Split an image
+ *
+ * @param      {MemoryImage}  image   The combined image
+ * @param      {Array}        spaces  The memory spaces (as in a BootloaderTarget)
+ * @return     {object}  { images, unrouted } where images is a list of
+ *                       { space, image } (space being the index of the space)
+ *                       for the spaces that have data, and unrouted lists the
+ *                       { address, length } ranges that are in no space
+ */
+function splitImage( image, spaces ) {
+
+  let windows = [];
+
+  spaces.forEach( function( space, index ) {
+    (space.hexRanges || []).forEach( function( range ) {
+
+      if( 'number' !== typeof( range.start ) || 'number' !== typeof( range.end ) || range.end <= range.start ) {
+        throw new Error( 'The hexRanges of ' + (space.name || ('space ' + index)) + ' must have a start below their end' );
+      }
+
+      windows.push( { space: index, start: range.start, end: range.end } );
+    });
+  });
+
+  windows.sort( function( a, b ) { return a.start - b.start; });
+
+  for( let i = 1; i < windows.length; i++ ) {
+    if( windows[i].start < windows[i - 1].end ) {
+      throw new Error( 'Memory spaces ' + windows[i - 1].space + ' and ' + windows[i].space +
+        ' both claim the data at ' + hex( windows[i].start ));
+    }
+  }
+
+  let images = {};
+  let unrouted = [];
+
+  image.chunks().forEach( function( chunk ) {
+
+    let start = chunk.address;
+    let end = start + chunk.data.length;
+    let pos = start;
+
+    windows.forEach( function( window ) {
+
+      let from = Math.max( start, window.start );
+      let to = Math.min( end, window.end );
+
+      if( from < to ) {
+
+        if( from > pos ) {
+          unrouted.push( { address: pos, length: from - pos } );
+        }
+
+        if( !images[ window.space ] ) {
+          images[ window.space ] = new MemoryImage( { fillValue: image.fillValue } );
+        }
+
+        images[ window.space ].write( from, chunk.data.subarray( from - start, to - start ));
+        pos = to;
+      }
+    });
+
+    if( end > pos ) {
+      unrouted.push( { address: pos, length: end - pos } );
+    }
+  });
+
+  // adjacent chunks may have left neighbouring unrouted ranges
+  unrouted = unrouted.reduce( function( list, range ) {
+
+    let last = list[ list.length - 1 ];
+
+    if( last && last.address + last.length === range.address ) {
+      last.length += range.length;
+    }
+    else {
+      list.push( range );
+    }
+
+    return list;
+  }, [] );
+
+  // the entry point goes with the code it is in
+  if( null !== image.entryPoint ) {
+
+    let window = windows.find( function( w ) { return image.entryPoint >= w.start && image.entryPoint < w.end; });
+
+    if( window && images[ window.space ] ) {
+      images[ window.space ].entryPoint = image.entryPoint;
+    }
+  }
+
+  return {
+    images: Object.keys( images ).map( Number ).sort( function( a, b ) { return a - b; }).map( function( space ) {
+      return { space: space, image: images[ space ] };
+    }),
+    unrouted: unrouted,
+  };
+}
+
+
+module.exports = {
+  splitImage: splitImage,
+};
@@ -0,0 +1,167 @@
+/**
+ * Handles text files containing Motorola S-records (S19, S28, S37)
+ *
+ * The parser shares the block handling of the HEX file parser, so the
+ * result of loadStream() has the same structure as for an Intel HEX file.
+ */
+
+const HexFile = require('./intelhex');
+
+// number of address bytes for each S-record type (undefined: not supported)
+const ADDRESS_LENGTH = [ 2, 2, 3, 4, undefined, 2, 3, 4, 3, 2 ];
+
+const HEADER = 0,
+  DATA_16 = 1,
+  DATA_24 = 2,
+  DATA_32 = 3,
+  COUNT_16 = 5,
+  COUNT_24 = 6,
+  START_32 = 7,
+  START_24 = 8,
+  START_16 = 9;
+
+
+module.exports = class SRecordFile extends HexFile {
+
+  constructor() {
+
+    super();
+
+    let me = this;
+
+    me.fileType = 'S-record';
+
+    // the contents of the S0 record, if any
+    me.header = null;
+
+    // number of data records read, for checking S5/S6 records
+    me.dataRecords = 0;
+
+    // the address follows the S, the type and the byte count
+    me.addressColumn = 5;
+  }
+
+
+  reset() {
+    super.reset();
+
+    this.header = null;
+    this.dataRecords = 0;
+  }
+
+
+  parseSRecordLine( line ) {
+
+    let me = this;
+    let type = me.checkSRecordText( line );
+    let addressLength = ADDRESS_LENGTH[ type ];
+    let bytes = Buffer.from( line.slice( 2 ), 'hex' );
+
+    me.checkSRecordBytes( line, type, bytes );
+
+    let address = 0;
+    for( let i = 1; i <= addressLength; i++ ) {
+      address = address * 256 + bytes[i];
+    }
+
+    return {
+      type: type,
+      address: address,
+      data: bytes.subarray( addressLength + 1, bytes.length - 1 )
+    };
+  }
+
+
+  // check the characters of a line, and return its record type
+  checkSRecordText( line ) {
+
+    let me = this;
+    let type = parseInt( line.charAt( 1 ), 10 );
+    let text = line.slice( 2 );
+
+    if( line.charAt( 0 ) !== 'S' ) {
+      throw me.lineError( 'start-code', 1, null, 'Missing start code' );
+    }
+
+    if( isNaN( type )) {
+      throw me.lineError( 'record-type', 2, null, 'Invalid record type \'' + line.charAt( 1 ) + '\'' );
+    }
+
+    let bad = text.search( /[^0-9A-Fa-f]/ );
+
+    if( bad >= 0 ) {
+      throw me.lineError( 'non-hex', bad + 3, type, 'Non-hex character \'' + text.charAt( bad ) + '\'' );
+    }
+
+    if( text.length % 2 !== 0 ) {
+      throw me.lineError( 'odd-length', line.length, type, 'Odd number of hex digits' );
+    }
+
+    if( 'undefined' === typeof( ADDRESS_LENGTH[ type ] )) {
+      throw me.lineError( 'record-type', 2, type, 'Unknown S-record type ' + type );
+    }
+
+    return type;
+  }
+
+
+  // check the length, byte count and checksum of a record
+  checkSRecordBytes( line, type, bytes ) {
+
+    let me = this;
+
+    let sum = 0;
+    bytes.forEach( function( byte ){
+      sum = (sum + byte ) & 0xFF;
+    });
+
+    if( bytes.length < ADDRESS_LENGTH[ type ] + 2 ) {
+      throw me.lineError( 'too-short', line.length, type, 'Record too short' );
+    }
+
+    if( bytes[0] !== bytes.length - 1 ) {
+      throw me.lineError( 'count', 3, type, 'Byte count ' + bytes[0] + ' does not match ' + (bytes.length - 1) + ' bytes' );
+    }
+
+    if( sum !== 0xFF ) {
+      throw me.lineError( 'checksum', line.length - 1, type, 'Bad checksum' );
+    }
+  }
+
+
+  processLine( line ) {
+    let me = this;
+
+    let record = me.parseSRecordLine( line );
+
+    switch( record.type ) {
+      case HEADER:
+        me.header = record.data.toString();
+        break;
+
+      case DATA_16:
+      case DATA_24:
+      case DATA_32:
+        me.dataRecords++;
+        me.addData( record );
+        break;
+
+      case COUNT_16:
+      case COUNT_24:
+        if( record.address !== me.dataRecords ) {
+          throw me.lineError( 'record-count', 5, record.type,
+            'S-record count mismatch: expected ' + record.address + ' data records but found ' + me.dataRecords );
+        }
+        break;
+
+      case START_32:
+      case START_24:
+      case START_16:
+        me.entryPoint = record.address;
+        return true;
+    }
+
+    return false;
+  }
+
+};
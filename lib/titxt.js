@@ -0,0 +1,102 @@
+/**
+ * Handles TI-TXT files (as produced for MSP430 devices)
+ *
+ * The file consists of sections that start with an '@ADDR' line (the
+ * address in hex), followed by lines of hex bytes separated by spaces.
+ * The file ends with a 'q' line.  For example:
+ *
+ *   @F000
+ *   31 40 00 03 B2 40 80 5A 20 01
+ *   @FFFE
+ *   00 F0
+ *   q
+ *
+ * The result of loadStream() is the same MemoryImage as for a HEX file.
+ */
+
+const HexFile = require('./intelhex');
+
+
+module.exports = class TiTxtFile extends HexFile {
+
+  constructor() {
+
+    super();
+
+    let me = this;
+
+    me.fileType = 'TI-TXT';
+
+    // where the next data byte goes (null until the first '@' line)
+    me.currentAddress = null;
+
+    // data lines have no address field
+    me.addressColumn = 1;
+  }
+
+
+  reset() {
+    super.reset();
+
+    this.currentAddress = null;
+  }
+
+
+  // Returns true if the text looks like the start of a TI-TXT file
+  static isTiTxtString( text ) {
+    return /^\s*@[0-9A-Fa-f]+\s*[\r\n]/.test( text );
+  }
+
+
+  processLine( line ) {
+    let me = this;
+
+    if( line === 'q' || line === 'Q' ) {
+      return true;
+    }
+
+    if( line.charAt( 0 ) === '@' ) {
+
+      let bad = line.slice( 1 ).search( /[^0-9A-Fa-f]/ );
+
+      if( line.length < 2 || bad >= 0 ) {
+        throw me.lineError( 'non-hex', (bad >= 0) ? bad + 2 : 2, null, 'Invalid section address' );
+      }
+
+      me.currentAddress = parseInt( line.slice( 1 ), 16 );
+      return false;
+    }
+
+    if( null === me.currentAddress ) {
+      throw me.lineError( 'missing-address', 1, null, 'Data before the first section address' );
+    }
+
+    let bytes = me.parseDataLine( line );
+
+    me.addData( { type: null, address: me.currentAddress, data: Buffer.from( bytes ) } );
+    me.currentAddress += bytes.length;
+
+    return false;
+  }
+
+
+  // Returns the bytes in a line of data
+  parseDataLine( line ) {
+
+    let bytes = [];
+    let pattern = /\S+/g;
+    let token;
+
+    while( (token = pattern.exec( line )) !== null ) {
+
+      if( !/^[0-9A-Fa-f]{2}$/.test( token[0] )) {
+        throw this.lineError( 'non-hex', token.index + 1, null, 'Invalid data byte \'' + token[0] + '\'' );
+      }
+
+      bytes.push( parseInt( token[0], 16 ));
+    }
+
+    return bytes;
+  }
+
+};
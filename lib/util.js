@@ -0,0 +1,19 @@
+/**
+ * Helpers shared by the image processing modules
+ */
+
+/**
+ * Formats an address (or other value) for a message, eg 0x1F00
+ *
+ * @param      {number}  value   The value
+ * @param      {number}  [digits]  The least number of hex digits to show
+ * @return     {string}  The value in hex, with a 0x prefix
+ */
+function hex( value, digits ) {
+  return '0x' + value.toString(16).toUpperCase().padStart( digits || 0, '0' );
+}
+
+
+module.exports = {
+  hex: hex,
+};
@@ -0,0 +1,179 @@
+/**
+ * Checks a memory image against the memory space it is to be loaded into
+ *
+ * Problems are reported as diagnostics, like those of the parsers:
+ *
+ *   { severity, reason, message, address, length }
+ *
+ * where address and length are in device addresses.  The reasons are:
+ *
+ *   'out-of-range'       data outside the application space reported by
+ *                        SELECT, which will not be loaded
+ *   'bootloader-region'  data in the bootloader's own memory
+ *   'empty'              nothing to load into the application space
+ *
+ * The severity of each is 'warning' by default, and can be set to 'error'
+ * or 'ignore'.
+ */
+
+const hex = require('./util').hex;
+
+const REASONS = [ 'out-of-range', 'bootloader-region', 'empty' ];
+
+const SEVERITIES = [ 'error', 'warning', 'ignore' ];
+
+
+// Returns the parts of the ranges that are not inside any of the holes
+function subtractRanges( ranges, holes ) {
+
+  let result = [];
+
+  ranges.forEach( function( range ) {
+
+    let pieces = [ { start: range.start, end: range.end } ];
+
+    holes.forEach( function( hole ) {
+
+      let remaining = [];
+
+      pieces.forEach( function( piece ) {
+        if( hole.end <= piece.start || hole.start >= piece.end ) {
+          remaining.push( piece );
+        }
+        else {
+          if( piece.start < hole.start ) {
+            remaining.push( { start: piece.start, end: hole.start } );
+          }
+          if( piece.end > hole.end ) {
+            remaining.push( { start: hole.end, end: piece.end } );
+          }
+        }
+      });
+
+      pieces = remaining;
+    });
+
+    result = result.concat( pieces );
+  });
+
+  return result;
+}
+
+
+// Returns the parts of the ranges that are inside the window
+function clipRanges( ranges, start, end ) {
+
+  let result = [];
+
+  ranges.forEach( function( range ) {
+
+    let from = Math.max( range.start, start );
+    let to = Math.min( range.end, end );
+
+    if( from < to ) {
+      result.push( { start: from, end: to } );
+    }
+  });
+
+  return result;
+}
+
+
+/**
+ * Check an image
+ *
+ * All addresses in the options are device addresses, as reported by SELECT.
+ *
+ * @param      {MemoryImage}  image    The image, after any filtering
+ * @param      {object}       options  The options
+ * @param      {number}       options.appStart  Start of the application space
+ * @param      {number}       options.appEnd    End of the application space (exclusive)
+ * @param      {number}       [options.addressing]  Image addresses per device address
+ * @param      {number}       [options.dataOffset]  Added to image addresses to give device addresses
+ * @param      {(object|Array)}  [options.bootloaderRegion]  { start, end } (end
+ *                                               exclusive) of the bootloader, or a list of them
+ * @param      {object}       [options.severity]  Severity for each reason, eg { empty: 'error' }
+ * @return     {Array}  The diagnostics, in address order
+ */
+function validateImage( image, options ) {
+
+  let addressing = options.addressing || 1;
+  let dataOffset = options.dataOffset || 0;
+  let severity = Object.assign( {}, options.severity );
+  let diagnostics = [];
+
+  Object.keys( severity ).forEach( function( reason ) {
+    if( REASONS.indexOf( reason ) === -1 ) {
+      throw new Error( 'Unknown validation check: ' + reason );
+    }
+    if( SEVERITIES.indexOf( severity[ reason ] ) === -1 ) {
+      throw new Error( 'Validation severity must be one of ' + SEVERITIES.join( ', ' ));
+    }
+  });
+
+  function toDevice( address ) {
+    return address / addressing + dataOffset;
+  }
+
+  function toImage( address ) {
+    return (address - dataOffset) * addressing;
+  }
+
+  function report( reason, range, message ) {
+
+    let level = severity[ reason ] || 'warning';
+
+    if( level !== 'ignore' ) {
+
+      let diagnostic = { severity: level, reason: reason, message: message, address: null, length: 0 };
+
+      if( range ) {
+        diagnostic.address = toDevice( range.start );
+        diagnostic.length = (range.end - range.start) / addressing;
+        diagnostic.message += ' at ' + hex( diagnostic.address ) + '-' + hex( toDevice( range.end ) - 1 ) +
+          ' (' + diagnostic.length + ' addresses)';
+      }
+
+      diagnostics.push( diagnostic );
+    }
+  }
+
+  let data = image.ranges().map( function( range ) {
+    return { start: range.address, end: range.address + range.length };
+  });
+
+  let regions = options.bootloaderRegion || [];
+
+  regions = (Array.isArray( regions ) ? regions : [ regions ]).map( function( region ) {
+    return { start: toImage( region.start ), end: toImage( region.end ) };
+  });
+
+  let window = { start: toImage( options.appStart ), end: toImage( options.appEnd ) };
+
+  regions.forEach( function( region ) {
+    clipRanges( data, region.start, region.end ).forEach( function( range ) {
+      report( 'bootloader-region', range, 'Data in the bootloader region' );
+    });
+  });
+
+  subtractRanges( data, regions.concat( [ window ] )).forEach( function( range ) {
+    report( 'out-of-range', range, 'Data outside the application space will not be loaded' );
+  });
+
+  if( subtractRanges( clipRanges( data, window.start, window.end ), regions ).length === 0 ) {
+    report( 'empty', null, 'No data for the application space (' + hex( options.appStart ) + '-' + hex( options.appEnd - 1 ) + ')' );
+  }
+
+  diagnostics.sort( function( a, b ) {
+    return (null === a.address ? Infinity : a.address) - (null === b.address ? Infinity : b.address);
+  });
+
+  return diagnostics;
+}
+
+
+module.exports = {
+  REASONS: REASONS,
+  SEVERITIES: SEVERITIES,
+  validateImage: validateImage,
+};
@@ -0,0 +1,95 @@
+/**
+ * Tests the sparse memory image
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+
+const expect = require('chai').expect;
+
+describe('Memory Image', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should read back written data and fill the gaps', function() {
+
+    let image = new MemoryImage();
+
+    image.write(0x10, [1, 2, 3, 4]);
+    image.write(0x14, Buffer.from([5, 6]));
+    image.write(0x20, [7]);
+
+    // overwrite across the end of a range and into a gap
+    image.write(0x15, [0x16, 0x17]);
+
+    expect(image.ranges()).to.deep.equal([
+      { address: 0x10, length: 7 },
+      { address: 0x20, length: 1 },
+    ]);
+
+    expect(image.read(0x0E, 12)).to.deep.equal(Buffer.from([
+      0xFF, 0xFF, 1, 2, 3, 4, 5, 0x16, 0x17, 0xFF, 0xFF, 0xFF,
+    ]));
+
+    expect(image.hasData(0x18, 8)).to.equal(false);
+    expect(image.hasData(0x18, 9)).to.equal(true);
+    expect(image.byteCount()).to.equal(8);
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should fill and remove ranges', function() {
+
+    let image = new MemoryImage({ fillValue: 0 });
+
+    image.fill(0x100, 0x200, 0x55);
+    image.remove(0x140, 0x180);
+
+    expect(image.ranges()).to.deep.equal([
+      { address: 0x100, length: 0x40 },
+      { address: 0x180, length: 0x80 },
+    ]);
+
+    expect(image.read(0x13F, 2)).to.deep.equal(Buffer.from([0x55, 0]));
+
+    // the front part can grow without disturbing the tail
+    image.write(0x140, Buffer.alloc(0x10, 0xAA));
+    expect(image.read(0x17F, 2)).to.deep.equal(Buffer.from([0, 0x55]));
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should divide sparse data into blocks', function() {
+
+    let image = new MemoryImage();
+
+    // EEPROM data sits far above the application
+    image.write(0x3E, [1, 2, 3, 4]);
+    image.write(0xF00000, [5]);
+
+    let blocks = image.toBlocks(64);
+
+    expect(blocks.map((block) => block.index)).to.deep.equal([0, 1, 0xF00000 / 64]);
+    expect(blocks[0].data.length).to.equal(64);
+    expect(blocks[1].data.slice(0, 3)).to.deep.equal(Buffer.from([3, 4, 0xFF]));
+    expect(blocks[2].address).to.equal(0xF00000);
+
+  });
+
+});
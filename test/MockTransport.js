@@ -29,6 +29,12 @@ const DEFAULT_OPTIONS = {
   enq: [
     null,
   ],
+  passthruOn: [
+    null,
+  ],
+  passthruOff: [
+    null,
+  ],
   sel: [
     null,
   ],
@@ -104,6 +110,8 @@ module.exports = class MockTransport extends Modbus.Transport {
 
     // by default use our handlers; caller might substitute their own
     this.handleEnq = function(mock, transactionState) { genericHandleBootloaderCommand('enq', mock, transactionState) };
+    this.handlePassthruOn = function(mock, transactionState) { genericHandleBootloaderCommand('passthruOn', mock, transactionState) };
+    this.handlePassthruOff = function(mock, transactionState) { genericHandleBootloaderCommand('passthruOff', mock, transactionState) };
     this.handleSel = function(mock, transactionState) { genericHandleBootloaderCommand('sel', mock, transactionState) };
     this.handleErase = function(mock, transactionState) { genericHandleBootloaderCommand('erase', mock, transactionState) };
     this.handleData = function(mock, transactionState) { genericHandleBootloaderCommand('data', mock, transactionState) };;
@@ -115,6 +123,8 @@ module.exports = class MockTransport extends Modbus.Transport {
     // count how many times we receive each kind of bootloader message
     this.count = {
       enqs: 0,
+      passthruOns: 0,
+      passthruOffs: 0,
       sels: 0,
       erases: 0,
       datas: 0,
@@ -193,6 +203,16 @@ module.exports = class MockTransport extends Modbus.Transport {
 
         this.handleEnq(this, transactionState);
         break;
+      case BL_OP_PASSTHRU_ON:
+        this.count.passthruOns++;
+        this.handlePassthruOn(this, transactionState);
+        break;
+
+      case BL_OP_PASSTHRU_OFF:
+        this.count.passthruOffs++;
+        this.handlePassthruOff(this, transactionState);
+        break;
+
       case BL_OP_SELECT:
         this.count.sels++;
         this.handleSel(this, transactionState);
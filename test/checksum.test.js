@@ -0,0 +1,151 @@
+/**
+ * Tests inserting a checksum or CRC into an image
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+const Checksum = require('../lib/checksum');
+const Bootloader = require('../');
+
+const expect = require('chai').expect;
+
+// an image holding the usual check string at address 0x100
+function createImage() {
+
+  let image = new MemoryImage();
+
+  image.write(0x100, Buffer.from('123456789'));
+
+  return image;
+}
+
+describe('Checksum Insertion', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should calculate each algorithm over the range', function() {
+
+    let image = createImage();
+    let range = { start: 0x100, end: 0x109 };
+
+    expect(Checksum.computeChecksum(image, Object.assign({ algorithm: 'crc16' }, range))).to.equal(0x4B37);
+    expect(Checksum.computeChecksum(image, Object.assign({ algorithm: 'crc32', width: 4 }, range))).to.equal(0xCBF43926);
+    expect(Checksum.computeChecksum(image, Object.assign({ algorithm: 'sum', width: 1 }, range))).to.equal(0xDD);
+    expect(Checksum.computeChecksum(image, Object.assign({ algorithm: 'sum-negated' }, range))).to.equal(0xFE23);
+
+    // missing bytes count as the fill value
+    expect(Checksum.computeChecksum(image, { algorithm: 'sum', start: 0x109, end: 0x10B })).to.equal(0x1FE);
+
+    expect(() => Checksum.computeChecksum(image, Object.assign({ algorithm: 'md5' }, range))).to.throw('Unknown checksum algorithm: md5');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should write the checksum at the address with the given endianness', function() {
+
+    let image = createImage();
+
+    Checksum.insertChecksum(image, { start: 0x100, end: 0x109, address: 0x1FE });
+    expect(image.read(0x1FE, 2)).to.deep.equal(Buffer.from([0x37, 0x4B]));
+
+    Checksum.insertChecksum(image, { start: 0x100, end: 0x109, address: 0x1F8, algorithm: 'crc32', width: 4, endian: 'big' });
+    expect(image.read(0x1F8, 4)).to.deep.equal(Buffer.from([0xCB, 0xF4, 0x39, 0x26]));
+
+    expect(() => Checksum.insertChecksum(image, { start: 0x100, end: 0x109, address: 0x107 }))
+      .to.throw('The checksum at 0x107 would overwrite the range it covers');
+    expect(() => Checksum.insertChecksum(image, { start: 0x100, end: 0x109, address: 0xFF }))
+      .to.throw('would overwrite');
+    expect(() => Checksum.insertChecksum(image, { start: 0x100, end: 0x109, address: 0x200, width: 3 }))
+      .to.throw('Checksum width must be 1, 2 or 4 bytes');
+
+    // a CRC-16 stored just after its range makes the CRC over both zero
+    Checksum.insertChecksum(image, { start: 0x100, end: 0x109, address: 0x109 });
+    expect(Checksum.computeChecksum(image, { start: 0x100, end: 0x10B })).to.equal(0);
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should use device addresses and count PIC24 phantom bytes as zero', function() {
+
+    let image = new MemoryImage();
+    let pic24 = { addressing: 2, phantomBytes: true, algorithm: 'sum', width: 4 };
+
+    // two instruction words at device addresses 0 and 2; the word at 4 is not written
+    image.write(0, Buffer.from([0x11, 0x22, 0x33, 0x00, 0x44, 0x55, 0x66, 0x00]));
+
+    // the stored bytes of the missing word count as 0xFF, its phantom byte as 0x00
+    expect(Checksum.computeChecksum(image, Object.assign({ start: 0, end: 6 }, pic24))).to.equal(0x165 + 3 * 0xFF);
+    expect(Checksum.computeChecksum(image, { algorithm: 'sum', width: 4, start: 0, end: 12 })).to.equal(0x165 + 4 * 0xFF);
+
+    // a phantom byte that is not 0x00 in the image is still counted as 0x00
+    image.write(3, Buffer.from([0x99]));
+    expect(Checksum.computeChecksum(image, Object.assign({ start: 0, end: 6 }, pic24))).to.equal(0x165 + 3 * 0xFF);
+
+    // the checksum fills the stored bytes of the words at device address 6
+    Checksum.insertChecksum(image, Object.assign({ start: 0, end: 6, address: 6, endian: 'big' }, pic24));
+    expect(image.read(12, 8)).to.deep.equal(Buffer.from([0x00, 0x00, 0x04, 0x00, 0x62, 0x00, 0x00, 0x00]));
+
+    expect(() => Checksum.insertChecksum(image, Object.assign({ start: 0, end: 8, address: 6 }, pic24)))
+      .to.throw('The checksum at 0x6 would overwrite the range it covers');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should insert the space\'s checksum before the image is divided into blocks', function() {
+
+    const bl = new Bootloader({}, {});
+    let statuses = [];
+
+    let space = new bl.BootloaderTarget.EEPROM({ hexBlock: 64, sendBlock: 64 });
+
+    space.insertChecksum = { start: 0, end: 0x3FE, address: 0x3FE, algorithm: 'sum-negated' };
+
+    let target = new bl.BootloaderTarget.Target({ name: 'MockDevice' }, [space]);
+
+    bl.target = target;
+    bl.space = target.spaces[0];
+    bl.appStart = 0;
+    bl.appEnd = 0x400;
+
+    bl.on('status', (status) => statuses.push(status));
+
+    return bl.importFile(__dirname + '/files/64bytes.hex', {})
+    .then(function() {
+
+      // the checksum is in the last block, which is now sent
+      expect(bl.sendList).to.deep.equal([0, 15]);
+
+      let inserted = bl.image.read(0x3FE, 2).readUInt16LE(0);
+
+      expect((Checksum.computeChecksum(bl.image, { algorithm: 'sum', start: 0, end: 0x3FE }) + inserted) & 0xFFFF).to.equal(0);
+      expect(statuses).to.include('Inserted sum-negated ' + inserted.toString(16) + ' at 3fe');
+
+      // the checksum of the space includes it
+      expect(bl.computedCrc).to.equal(space.checksum(0, 0x400, 64, bl.image));
+    });
+
+  });
+
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests loading of gzip and zlib compressed images
+ */
+
+const Bootloader = require('../');
+const HexFile = require('../lib/intelhex');
+const Formats = require('../lib/formats');
+const Decompress = require('../lib/decompress');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const expect = require('chai').expect;
+
+// sets up a bootloader as if the SELECT phase had completed
+function createBootloader() {
+
+  const bl = new Bootloader({}, {});
+
+  let target = new bl.BootloaderTarget.Target({ name: 'MockDevice' }, [
+    new bl.BootloaderTarget.EEPROM({ hexBlock: 64, sendBlock: 64 }),
+  ]);
+
+  bl.space = target.spaces[0];
+  bl.appStart = 0;
+  bl.appEnd = 0x400;
+
+  return bl;
+}
+
+describe('Compressed Images', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should read a gzip compressed file', function() {
+
+    let hex = new HexFile();
+    let plain = new HexFile();
+
+    expect(Formats.fromFile(__dirname + '/files/64bytes.hex.gz')).to.equal('hex');
+
+    return Promise.all([
+      hex.loadFile(__dirname + '/files/64bytes.hex.gz'),
+      plain.loadFile(__dirname + '/files/64bytes.hex'),
+    ])
+    .then(function(results) {
+      expect(results[0].chunks()).to.deep.equal(results[1].chunks());
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should decompress Buffers and streams passed to importFile', function() {
+
+    const bl = createBootloader();
+    let hex = fs.readFileSync(__dirname + '/files/64bytes.hex');
+    let srec = fs.readFileSync(__dirname + '/files/64bytes.s19');
+    let data = Buffer.alloc(64);
+
+    for(let i = 0; i < data.length; i += 2) {
+      data[i] = 0x55;
+    }
+
+    expect(Decompress.isCompressed(hex)).to.equal(false);
+    expect(Decompress.isCompressed(zlib.deflateSync(hex))).to.equal(true);
+
+    // gzip compressed S-records
+    return bl.importFile(zlib.gzipSync(srec))
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.computedCrc).to.equal(0x8E18);
+
+      // zlib compressed binary, at the next block
+      return bl.importFile(zlib.deflateSync(data), { baseAddress: 0x40 });
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([1]);
+
+      return bl.importFile(Readable.from([zlib.gzipSync(hex)]));
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.computedCrc).to.equal(0x8E18);
+
+      // a plain stream is passed through
+      return bl.importFile(Readable.from([hex.toString()]));
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0]);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report a corrupt archive', function() {
+
+    const bl = createBootloader();
+    let hex = fs.readFileSync(__dirname + '/files/64bytes.hex');
+    let truncated = zlib.gzipSync(hex).subarray(0, 30);
+    let filename = path.join(os.tmpdir(), 'mb-loader-corrupt-' + process.pid + '.hex.gz');
+
+    fs.writeFileSync(filename, truncated);
+
+    return bl.importFile(truncated)
+    .then(function() {
+      throw new Error('Should not have accepted a corrupt Buffer');
+    }, function(err) {
+      expect(err.message).to.match(/Corrupt compressed data/);
+
+      return new HexFile().loadFile(filename);
+    })
+    .then(function() {
+      throw new Error('Should not have accepted a corrupt file');
+    }, function(err) {
+      expect(err.message).to.match(/File read error: Corrupt compressed data: unexpected end of file/);
+
+      return bl.importFile(Readable.from([truncated]));
+    })
+    .then(function() {
+      throw new Error('Should not have accepted a corrupt stream');
+    }, function(err) {
+      expect(err.message).to.match(/Corrupt compressed data/);
+    })
+    .finally(function() {
+      fs.unlinkSync(filename);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load binary data that only looks like zlib data as it is', function() {
+
+    const bl = createBootloader();
+    let data = Buffer.alloc(64, 0x55);
+    let filename = path.join(os.tmpdir(), 'mb-loader-raw-' + process.pid + '.bin');
+
+    // a valid zlib header, but not compressed
+    data[0] = 0x08;
+    data[1] = 0x1D;
+
+    expect(Decompress.isCompressed(data)).to.equal(true);
+    expect(Decompress.isGzip(data)).to.equal(false);
+
+    fs.writeFileSync(filename, data);
+
+    return bl.importFile(data, { baseAddress: 0x40 })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([1]);
+      expect(bl.image.read(0x40, 64)).to.deep.equal(data);
+
+      return bl.importFile(filename);
+    })
+    .then(function() {
+      expect(bl.image.read(0, 64)).to.deep.equal(data);
+
+      return bl.importFile(Readable.from([data]), { baseAddress: 0x80 });
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([2]);
+      expect(bl.image.read(0x80, 64)).to.deep.equal(data);
+    })
+    .finally(function() {
+      fs.unlinkSync(filename);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should detect the format of a stream', function() {
+
+    const bl = createBootloader();
+    let srec = fs.readFileSync(__dirname + '/files/64bytes.s19');
+    let elf = fs.readFileSync(__dirname + '/files/64bytes.elf');
+
+    return bl.importFile(Readable.from([zlib.gzipSync(srec)]))
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.computedCrc).to.equal(0x8E18);
+
+      // zlib compressed, and in small pieces
+      let compressed = zlib.deflateSync(elf);
+      let pieces = [];
+
+      for(let i = 0; i < compressed.length; i += 16) {
+        pieces.push(compressed.subarray(i, i + 16));
+      }
+
+      return bl.importFile(Readable.from(pieces));
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.computedCrc).to.equal(0x8E18);
+    });
+
+  });
+
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests the comparison of memory images
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+const Diff = require('../lib/diff');
+const BootloaderTarget = require('../lib/BootloaderTarget');
+
+const expect = require('chai').expect;
+
+describe('Image Diff', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report added, removed and changed ranges and blocks', function() {
+
+    let before = new MemoryImage();
+    let after = new MemoryImage();
+
+    before.fill(0x000, 0x100, 0x11);
+    before.fill(0x300, 0x340, 0x33);
+
+    after.fill(0x000, 0x100, 0x11);
+    after.write(0x42, [1, 2, 3]);
+    after.write(0x80, [4]);
+    after.fill(0x100, 0x120, 0x22);
+
+    let diff = Diff.compareImages(before, after, { hexBlock: 64 });
+
+    expect(diff.identical).to.equal(false);
+    expect(diff.added).to.deep.equal([{ address: 0x100, length: 0x20, deviceAddress: 0x100 }]);
+    expect(diff.removed).to.deep.equal([{ address: 0x300, length: 0x40, deviceAddress: 0x300 }]);
+    expect(diff.changed).to.deep.equal([
+      { address: 0x42, length: 3, deviceAddress: 0x42 },
+      { address: 0x80, length: 1, deviceAddress: 0x80 },
+    ]);
+    expect(diff.blocks.map((block) => block.index)).to.deep.equal([1, 2, 4, 12]);
+
+    // the report survives a round trip through JSON
+    expect(JSON.parse(JSON.stringify(diff))).to.deep.equal(diff);
+
+    let text = Diff.formatDiff(diff);
+
+    expect(text).to.contain('Added: 1 range(s), 32 bytes');
+    expect(text).to.contain('0x000042-0x000044 (3 bytes)');
+    expect(text).to.contain('Changed blocks (64 bytes): 4');
+
+    expect(Diff.compareImages(before, before.clone()).identical).to.equal(true);
+    expect(Diff.formatDiff(Diff.compareImages(before, before.clone()))).to.equal('Images are identical\n');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should ignore phantom bytes and report device addresses for PIC24', function() {
+
+    let space = new BootloaderTarget.PIC24Application();
+    let before = new MemoryImage();
+    let after;
+
+    // two instruction words, each 3 bytes plus a phantom byte
+    before.write(0x400, [0x01, 0x02, 0x03, 0x00, 0x04, 0x05, 0x06, 0x00]);
+    after = before.clone();
+
+    // only the phantom bytes differ
+    after.write(0x403, [0xFF]);
+    after.write(0x407, [0xFF]);
+
+    expect(Diff.compareImages(before, after, space).identical).to.equal(true);
+    expect(Diff.compareImages(before, after, { hexBlock: 256 }).identical).to.equal(false);
+
+    // change the last byte of the first word and the first of the second
+    after.write(0x402, [0x13, 0xFF, 0x14]);
+
+    let diff = Diff.compareImages(before, after, space);
+
+    expect(diff.changed).to.deep.equal([{ address: 0x402, length: 3, deviceAddress: 0x201 }]);
+    expect(diff.blocks).to.deep.equal([{ index: 4, address: 0x400, deviceAddress: 0x200 }]);
+    expect(Diff.formatDiff(diff)).to.contain('device 0x000201');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should compare image files of different formats', function() {
+
+    return Diff.compareFiles(__dirname + '/files/64bytes.hex', __dirname + '/files/64bytes.s19', { hexBlock: 64 })
+    .then(function(diff) {
+      expect(diff.identical).to.equal(true);
+    });
+
+  });
+
+});
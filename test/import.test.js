@@ -0,0 +1,521 @@
+/**
+ * Tests how image files are read and divided into blocks for sending
+ */
+
+const Bootloader = require('../');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const sinon = require('sinon');
+
+const expect = require('chai').expect;
+const assert = require('chai').assert;
+
+// sets up a bootloader as if the SELECT phase had completed
+function createBootloader(space) {
+
+  const bl = new Bootloader({}, {});
+
+  let target = new bl.BootloaderTarget.Target({
+    name: 'MockDevice',
+  }, [
+    space || new bl.BootloaderTarget.EEPROM({ hexBlock: 64, sendBlock: 64 }),
+  ]);
+
+  bl.target = target;
+  bl.space = target.spaces[0];
+  bl.appStart = 0;
+  bl.appEnd = 0x400;
+
+  return bl;
+}
+
+describe('Image Import', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load a HEX file by name', function() {
+
+    const bl = createBootloader();
+
+    return bl.importFile(__dirname + '/files/64bytes.hex')
+    .then(function() {
+      expect(bl.totalBlocks).to.equal(1);
+      expect(bl.computedCrc).to.equal(0x8E18);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load HEX text held in memory', function() {
+
+    const bl = createBootloader();
+    let text = fs.readFileSync(__dirname + '/files/64bytes.hex', 'utf8');
+
+    return bl.importFile(text)
+    .then(function() {
+      expect(bl.sendList.length).to.equal(1);
+      expect(bl.computedCrc).to.equal(0x8E18);
+
+      return bl.importFile({ hex: text });
+    })
+    .then(function() {
+      expect(bl.sendList.length).to.equal(1);
+      expect(bl.computedCrc).to.equal(0x8E18);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load an S-record file by extension', function() {
+
+    const bl = createBootloader();
+
+    return bl.importFile(__dirname + '/files/64bytes.s19')
+    .then(function() {
+      expect(bl.totalBlocks).to.equal(1);
+      expect(bl.computedCrc).to.equal(0x8E18);
+      expect(bl.entryPoint).to.equal(0);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load a binary buffer the same as the equivalent HEX file', function() {
+
+    const bl = createBootloader();
+    let expected;
+    let data = Buffer.alloc(64);
+
+    for(let i = 0; i < data.length; i += 2) {
+      data[i] = 0x55;
+    }
+
+    return bl.importFile(__dirname + '/files/64bytes.hex')
+    .then(function() {
+      expected = bl.buildBlock(0);
+      return bl.importFile(data);
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.buildBlock(0)).to.deep.equal(expected);
+      expect(bl.computedCrc).to.equal(0x8E18);
+
+      // place it at the next block
+      return bl.importFile(new Uint8Array(data), { baseAddress: 0x40 });
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([1]);
+      expect(bl.buildBlock(1).slice(0, 4)).to.deep.equal([0, 0, 0, 0x40]);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load the loadable segments of an ELF file', function() {
+
+    const bl = createBootloader();
+    let statusSpy = sinon.spy();
+    let expected;
+
+    bl.on('status', statusSpy);
+
+    return bl.importFile(__dirname + '/files/64bytes.hex')
+    .then(function() {
+      expected = bl.buildBlock(0);
+      return bl.importFile(__dirname + '/files/64bytes.elf');
+    })
+    .then(function() {
+
+      // the .bss segment at 0x200 has no file content and is not loaded
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.buildBlock(0)).to.deep.equal(expected);
+      expect(bl.entryPoint).to.equal(0x10);
+      assert(statusSpy.calledWith('Entry Point: 10'));
+
+      // same file, big endian
+      let elf = fs.readFileSync(__dirname + '/files/64bytes.elf');
+      let swapped = Buffer.from(elf);
+
+      swapped[5] = 2;
+      swapped.writeUInt32BE(elf.readUInt32LE(0x18), 0x18);
+      swapped.writeUInt32BE(elf.readUInt32LE(0x1C), 0x1C);
+      [0x2A, 0x2C].forEach((offset) => swapped.writeUInt16BE(elf.readUInt16LE(offset), offset));
+
+      for(let offset = 0x34; offset < 0x74; offset += 4) {
+        swapped.writeUInt32BE(elf.readUInt32LE(offset), offset);
+      }
+
+      return bl.importFile(swapped);
+    })
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.buildBlock(0)).to.deep.equal(expected);
+      expect(bl.entryPoint).to.equal(0x10);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report progress while loading a file', function() {
+
+    const bl = createBootloader();
+    let progressSpy = sinon.spy();
+    let size = fs.statSync(__dirname + '/files/64bytes.hex').size;
+
+    bl.on('loadProgress', progressSpy);
+
+    return bl.importFile(__dirname + '/files/64bytes.hex')
+    .then(function() {
+      assert(progressSpy.calledWith(100, size));
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should send the same blocks and checksum when pipelined', function() {
+
+    const bl = createBootloader();
+    let sent = [];
+    let data = Buffer.alloc(0x300, 0xFF);
+
+    // two blocks of data, a gap, then a partial block
+    for(let i = 0; i < 0x80; i++) {
+      data[i] = i;
+    }
+    data.fill(0x22, 0x200, 0x220);
+
+    let text = new bl.Hex().segmentsToHexString([
+      { address: 0, data: data.subarray(0, 0x80) },
+      { address: 0x200, data: data.subarray(0x200, 0x220) },
+    ]);
+
+    // pretend each block is acknowledged
+    bl.sendAppBlock = function(index, block) {
+      sent.push(index);
+      expect(block).to.deep.equal(bl.buildBlock(index));
+      return Promise.resolve();
+    };
+
+    let expected;
+
+    return bl.importFile(data)
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([0, 1, 8]);
+      expected = bl.computedCrc;
+
+      return bl.beginPipeline(text);
+    })
+    .then(function() {
+      return bl.sendBlocks();
+    })
+    .then(function() {
+      expect(sent).to.deep.equal([0, 1, 8]);
+      expect(bl.sendList).to.deep.equal([0, 1, 8]);
+      expect(bl.totalBlocks).to.equal(3);
+      expect(bl.computedCrc).to.equal(expected);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should fail when pipelined data is out of order', function() {
+
+    const bl = createBootloader();
+
+    let text = new bl.Hex().segmentsToHexString([
+      { address: 0x100, data: Buffer.alloc(16, 0x11) },
+      { address: 0, data: Buffer.alloc(16, 0x22) },
+    ]);
+
+    bl.sendAppBlock = function() {
+      return Promise.resolve();
+    };
+
+    return bl.beginPipeline(text)
+    .then(function() {
+      return bl.sendBlocks();
+    })
+    .then(function() {
+      assert.fail('should have been rejected');
+    }, function(err) {
+      expect(err.message).to.match(/ascending address order/);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should keep the image of a new load when an abandoned pipelined load finishes', function() {
+
+    const bl = createBootloader();
+    let stream = new PassThrough();
+
+    let text = new bl.Hex().segmentsToHexString([
+      { address: 0, data: Buffer.alloc(0x200, 0x11) },
+    ]);
+    let half = text.indexOf('\n', text.length / 2) + 1;
+
+    // the file is still being parsed when the next load starts
+    stream.write(text.slice(0, half));
+
+    let image;
+
+    return bl.beginPipeline(stream)
+    .then(function() {
+      // wait until the parser has released a block, so it is part way through
+      return new Promise(function(resolve) { bl.pipeline.once('change', resolve); });
+    })
+    .then(function() {
+      return bl.importFile(__dirname + '/files/64bytes.hex');
+    })
+    .then(function() {
+      image = bl.image;
+
+      stream.end(text.slice(half));
+
+      // let the abandoned parse finish
+      return new Promise(function(resolve) {
+        stream.on('end', function() { setImmediate(resolve); });
+      });
+    })
+    .then(function() {
+      expect(bl.image).to.equal(image);
+      expect(bl.pipeline).to.equal(null);
+      expect(bl.totalBlocks).to.equal(1);
+      expect(bl.computedCrc).to.equal(0x8E18);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should use the space\'s fill value for missing data, empty blocks and the checksum', function() {
+
+    const Targets = require('../lib/BootloaderTarget');
+    const CRC = require('../lib/crc16');
+    const bl = createBootloader(new Targets.EEPROM({ hexBlock: 64, sendBlock: 64, fillValue: 0x00 }));
+
+    let text = new bl.Hex().segmentsToHexString([
+      { address: 0, data: Buffer.alloc(64, 0x00) },
+      { address: 0x80, data: Buffer.alloc(16, 0xFF) },
+    ]);
+
+    let crc = 0xFFFF;
+
+    for(let i = 0; i < 0x400; i++) {
+      crc = CRC.update(crc, (i >= 0x80 && i < 0x90) ? 0xFF : 0x00);
+    }
+
+    return bl.importFile(text)
+    .then(function() {
+
+      // the block of zeros is empty, and the rest of the second block is zeros
+      expect(bl.image.fillValue).to.equal(0x00);
+      expect(bl.sendList).to.deep.equal([2]);
+      expect(bl.buildBlock(2).slice(4 + 15, 4 + 17)).to.deep.equal([0xFF, 0x00]);
+      expect(bl.computedCrc).to.equal(crc);
+
+      // only the 3 stored bytes of each PIC24 instruction word are checked
+      let pic24 = new bl.BootloaderTarget.PIC24Application({ fillValue: 0x00 });
+
+      expect(pic24.blockIsEmpty([0, 0, 0, 0, 0, 0, 0, 0xFF], 0x00)).to.equal(true);
+      expect(pic24.blockIsEmpty([0xFF, 0xFF, 0xFF, 0], 0x00)).to.equal(false);
+      expect(pic24.blockIsEmpty([0xFF, 0xFF, 0xFF, 0])).to.equal(true);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should skip, trim, include or reject blocks that are partly outside the application space', function() {
+
+    const bl = createBootloader();
+    const CRC = require('../lib/crc16');
+
+    let image = new bl.MemoryImage();
+    let crc = 0xFFFF;
+
+    image.fill(0, 0x400, 0x11);
+
+    // a window that does not start or end on a 64-byte block boundary
+    bl.appStart = 0x20;
+    bl.appEnd = 0x3E0;
+
+    for(let i = bl.appStart; i < bl.appEnd; i++) {
+      crc = CRC.update(crc, 0x11);
+    }
+
+    bl.sendAppBlock = function() {
+      return Promise.resolve();
+    };
+
+    let status = [];
+    bl.on('status', (message) => status.push(message));
+
+    return bl.importFile(image)
+    .then(function() {
+
+      // by default the edge blocks are not sent
+      expect(bl.sendList.length).to.equal(14);
+      expect(status).to.include('The block at 0 is partly outside the application space (20-3e0); not sending it');
+
+      bl.space.boundaryBlocks = 'trim';
+      return bl.importFile(image);
+    })
+    .then(function() {
+
+      // only the part of each edge block inside the window is sent
+      expect(bl.sendList.length).to.equal(16);
+      expect(bl.buildBlock(0).slice(0, 4)).to.deep.equal([0, 0, 0, 0x20]);
+      expect(bl.buildBlock(0).length).to.equal(4 + 0x20);
+      expect(bl.buildBlock(15).slice(0, 4)).to.deep.equal([0, 0, 0x03, 0xC0]);
+      expect(bl.buildBlock(15).length).to.equal(4 + 0x20);
+      expect(bl.computedCrc).to.equal(crc);
+
+      // the same when pipelined
+      return bl.beginPipeline(new bl.Hex().imageToHexString(image))
+      .then(() => bl.sendBlocks());
+    })
+    .then(function() {
+      expect(bl.sendList.length).to.equal(16);
+      expect(bl.computedCrc).to.equal(crc);
+
+      bl.space.boundaryBlocks = 'include';
+      return bl.importFile(image);
+    })
+    .then(function() {
+      expect(bl.sendList.length).to.equal(16);
+      expect(bl.buildBlock(0).slice(0, 4)).to.deep.equal([0, 0, 0, 0]);
+      expect(bl.buildBlock(0).length).to.equal(4 + 0x40);
+      expect(bl.computedCrc).to.equal(crc);
+
+      bl.space.boundaryBlocks = 'reject';
+      return bl.importFile(image);
+    })
+    .then(function() {
+      assert.fail('should have been rejected');
+    }, function(err) {
+      expect(err.message).to.equal('The block at 0 is partly outside the application space (20-3e0)');
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should calculate the checksum over whole blocks unless the edge blocks are trimmed or included', function() {
+
+    const bl = createBootloader();
+
+    let image = new bl.MemoryImage();
+    let data = Buffer.alloc(0x400);
+
+    for(let i = 0; i < data.length; i++) {
+      data[i] = i & 0xFF;
+    }
+    image.write(0, data);
+
+    // a window that does not start or end on a 64-byte block boundary
+    bl.appStart = 0x20;
+    bl.appEnd = 0x3E0;
+
+    bl.sendAppBlock = function() {
+      return Promise.resolve();
+    };
+
+    // the blocks from the one holding appStart, as in earlier versions
+    expect(new bl.BootloaderTarget.PIC16TinyBL().checksum(0x20, 0x3E0, 64, image)).to.equal(0x630C);
+
+    return bl.importFile(image)
+    .then(function() {
+      expect(bl.computedCrc).to.equal(0x630C);
+
+      return bl.beginPipeline(new bl.Hex().imageToHexString(image))
+      .then(() => bl.sendBlocks());
+    })
+    .then(function() {
+      expect(bl.computedCrc).to.equal(0x630C);
+
+      // exactly the application space
+      bl.space.boundaryBlocks = 'trim';
+      return bl.importFile(image);
+    })
+    .then(function() {
+      expect(bl.computedCrc).to.equal(0x2EE2);
+
+      bl.space.boundaryBlocks = 'include';
+      return bl.importFile(image);
+    })
+    .then(function() {
+      expect(bl.computedCrc).to.equal(0x2EE2);
+    });
+
+  });
+
+});
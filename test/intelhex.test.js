@@ -0,0 +1,447 @@
+/**
+ * Tests parsing of Intel HEX records
+ */
+
+const HexFile = require('../lib/intelhex');
+const { Readable } = require('stream');
+
+const expect = require('chai').expect;
+
+// returns a stream that delivers the given lines of text
+function linesToStream(lines) {
+  return Readable.from([lines.join('\n')]);
+}
+
+// a record's text, with its checksum
+function hexRecord(type, address, data) {
+
+  let bytes = [data.length, (address >> 8) & 0xFF, address & 0xFF, type].concat(data);
+  let sum = bytes.reduce(function(a, b) { return a + b; }, 0);
+
+  bytes.push(-sum & 0xFF);
+
+  return ':' + Buffer.from(bytes).toString('hex').toUpperCase() + '\n';
+}
+
+// generates a HEX file holding 'size' bytes from address 0, where each byte
+// is the low byte of its address plus its 64K page number.  Each 64K page
+// is delivered as one chunk, and the pages and the records in them can be
+// in descending address order
+function* generateHex(size, descending) {
+
+  let pages = [];
+
+  for(let page = 0; page < size / 0x10000; page++) {
+    pages.push(page);
+  }
+
+  if(descending) {
+    pages.reverse();
+  }
+
+  for(let page of pages) {
+
+    let records = [];
+
+    for(let offset = 0; offset < 0x10000; offset += 16) {
+
+      let data = [];
+
+      for(let i = 0; i < 16; i++) {
+        data.push((offset + i + page) & 0xFF);
+      }
+      records.push(hexRecord(0, offset, data));
+    }
+
+    if(descending) {
+      records.reverse();
+    }
+
+    yield hexRecord(4, 0, [page >> 8, page & 0xFF]) + records.join('');
+  }
+
+  yield hexRecord(1, 0, []);
+}
+
+// a file with a bad checksum, a byte count mismatch, a non-hex character
+// and data after the EOF record
+const BAD_LINES = [
+  ':0400100001020304E2',
+  ':0400100001020304E3',
+  ':0500100001020304E1',
+  '  :04001000010G0304E2',
+  ':00000001FF',
+  ':0400200001020304D2',
+];
+
+describe('Intel HEX Parsing', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should apply extended segment addresses to data records', function() {
+
+    let hex = new HexFile();
+
+    return hex.loadStream(linesToStream([
+      ':020000021000EC',
+      ':0400100001020304E2',
+      ':00000001FF',
+    ]))
+    .then(function(image) {
+
+      // 0x1000 * 16 + 0x10 = 0x10010
+      expect(image.ranges()).to.deep.equal([{ address: 0x10010, length: 4 }]);
+      expect(image.read(0x10010, 4)).to.deep.equal(Buffer.from([1, 2, 3, 4]));
+      expect(hex.entryPoint).to.equal(null);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report the entry point from start address records', function() {
+
+    let hex = new HexFile();
+
+    return hex.loadStream(linesToStream([
+      ':0400000300003800C1',
+      ':00000001FF',
+    ]))
+    .then(function() {
+
+      expect(hex.startSegment).to.deep.equal({ cs: 0, ip: 0x3800 });
+      expect(hex.entryPoint).to.equal(0x3800);
+
+      return hex.loadStream(linesToStream([
+        ':040000058000100067',
+        ':00000001FF',
+      ]));
+    })
+    .then(function(image) {
+
+      expect(hex.startSegment).to.equal(null);
+      expect(hex.entryPoint).to.equal(0x80001000);
+      expect(image.entryPoint).to.equal(0x80001000);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should handle extended linear addresses above 0x80000000', function() {
+
+    let hex = new HexFile();
+
+    return hex.loadStream(linesToStream([
+      ':0200000480007A',
+      ':00000001FF',
+    ]))
+    .then(function() {
+      expect(hex.extendedAddress).to.equal(0x80000000);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report every problem in strict mode', function() {
+
+    let hex = new HexFile();
+
+    return hex.loadStream(linesToStream(BAD_LINES))
+    .then(function() {
+      throw new Error('Should not have accepted a bad file');
+    }, function(err) {
+
+      expect(err.message).to.equal('Error(s) occured reading the HEX file: Bad checksum in HEX line: 2');
+      expect(err.diagnostics).to.deep.equal(hex.diagnostics);
+      expect(hex.diagnostics.map((d) => [d.line, d.column, d.recordType, d.reason, d.severity])).to.deep.equal([
+        [2, 18, 0, 'checksum', 'error'],
+        [3, 2, 0, 'count', 'error'],
+        [4, 15, null, 'non-hex', 'error'],
+        [6, 1, null, 'after-eof', 'error'],
+      ]);
+
+      return hex.loadStream(linesToStream(BAD_LINES.slice(0, 1)));
+    })
+    .then(function() {
+      throw new Error('Should not have accepted a missing EOF');
+    }, function(err) {
+      expect(err.diagnostics).to.have.length(1);
+      expect(err.diagnostics[0]).to.include({ reason: 'missing-eof', severity: 'error' });
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should skip bad lines with warnings in lenient mode', function() {
+
+    let hex = new HexFile();
+
+    hex.mode = 'lenient';
+
+    return hex.loadStream(linesToStream(BAD_LINES))
+    .then(function(image) {
+
+      expect(image.ranges()).to.deep.equal([{ address: 0x10, length: 4 }]);
+      expect(hex.diagnostics.map((d) => d.reason)).to.deep.equal(['checksum', 'count', 'non-hex', 'after-eof']);
+      expect(hex.diagnostics.every((d) => d.severity === 'warning')).to.equal(true);
+
+      return hex.loadStream(linesToStream(BAD_LINES.slice(0, 1)));
+    })
+    .then(function(image) {
+
+      expect(image.ranges()).to.deep.equal([{ address: 0x10, length: 4 }]);
+      expect(hex.diagnostics).to.have.length(1);
+      expect(hex.diagnostics[0]).to.include({ reason: 'missing-eof', severity: 'warning' });
+
+      // the mode can also be given for a single load
+      hex.mode = 'strict';
+      return hex.loadStream(linesToStream(BAD_LINES), { mode: 'lenient' });
+    })
+    .then(function() {
+      expect(hex.diagnostics).to.have.length(4);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report records that write the same addresses', function() {
+
+    let hex = new HexFile();
+
+    let lines = [
+      ':0400100001020304E2',
+      ':0400140005060708CE',
+      ':020012000304E5',
+      ':02001600AABB83',
+      ':08001000111111111111111160',
+      ':00000001FF',
+    ];
+
+    return hex.loadStream(linesToStream(lines))
+    .then(function(image) {
+
+      expect(hex.diagnostics.map((d) => [d.line, d.previousLine, d.address, d.length, d.identical])).to.deep.equal([
+        [3, 1, 0x12, 2, true],
+        [4, 2, 0x16, 2, false],
+        [5, 1, 0x10, 4, false],
+        [5, 2, 0x14, 4, false],
+      ]);
+      expect(hex.diagnostics[0]).to.include({ reason: 'overlap', severity: 'warning', column: 4, recordType: 0 });
+      expect(hex.diagnostics[1].message).to.equal('Data at 0x16 (2 bytes) was already written on line 2 in HEX line: 4');
+
+      // the later record still wins
+      expect(image.read(0x10, 8)).to.deep.equal(Buffer.alloc(8, 0x11));
+
+      hex.overlapPolicy = 'error';
+      return hex.loadStream(linesToStream(lines));
+    })
+    .then(function() {
+      throw new Error('Should not have accepted overlapping records');
+    }, function(err) {
+      expect(err.message).to.match(/already written on line 1 with the same values in HEX line: 3/);
+      expect(err.diagnostics.map((d) => d.line)).to.deep.equal([3, 4, 5]);
+
+      hex.overlapPolicy = 'allow';
+      return hex.loadStream(linesToStream(lines));
+    })
+    .then(function() {
+      expect(hex.diagnostics).to.deep.equal([]);
+
+      // records in descending order are tracked just as well
+      hex.overlapPolicy = 'warning';
+      return hex.loadStream(linesToStream([
+        ':0400180009090909C0',
+        ':0400140005060708CE',
+        ':0400100001020304E2',
+        ':0C00100011111111111111111111111118',
+        ':00000001FF',
+      ]));
+    })
+    .then(function() {
+      expect(hex.diagnostics.map((d) => [d.line, d.previousLine, d.address, d.length])).to.deep.equal([
+        [4, 3, 0x10, 4],
+        [4, 2, 0x14, 4],
+        [4, 1, 0x18, 4],
+      ]);
+      expect(hex.written).to.have.length(1);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should keep overlaps fatal in lenient mode when the policy is error', function() {
+
+    let hex = new HexFile();
+
+    hex.mode = 'lenient';
+    hex.overlapPolicy = 'error';
+
+    return hex.loadStream(linesToStream([
+      ':0400100001020304E2',
+      ':0400100005060708D2',
+      ':00000001FF',
+    ]))
+    .then(function() {
+      throw new Error('Should not have accepted overlapping records');
+    }, function(err) {
+      expect(err.message).to.match(/already written on line 1/);
+      expect(err.diagnostics).to.have.length(1);
+      expect(err.diagnostics[0]).to.include({ reason: 'overlap', severity: 'error', line: 2 });
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should store a large file in a few segments whatever the record order', function() {
+
+    this.timeout(30000);
+
+    let size = 0x400000;
+
+    // check the image holds the generated data in 1MB segments
+    function check(image) {
+
+      expect(image.segments).to.have.length(4);
+      expect(image.byteCount()).to.equal(size);
+      expect(image.ranges()).to.deep.equal([{ address: 0, length: size }]);
+      expect(image.read(0x12340, 4)).to.deep.equal(Buffer.from([0x41, 0x42, 0x43, 0x44]));
+      expect(image.read(size - 2, 2)).to.deep.equal(Buffer.from([0x3D, 0x3E]));
+    }
+
+    return new HexFile().loadStream(Readable.from(generateHex(size, false)))
+    .then(function(image) {
+
+      check(image);
+
+      return new HexFile().loadStream(Readable.from(generateHex(size, true)));
+    })
+    .then(check);
+
+  });
+
+});
+
+describe('Intel HEX Writing', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should write records with extended addresses and EOF', function() {
+
+    let hex = new HexFile();
+
+    let text = hex.bufferToHexString(0xFFF8, Buffer.from([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]), { bytesPerLine: 4 });
+
+    expect(text.split('\n')).to.deep.equal([
+      ':04FFF80000010203FF',
+      ':04FFFC0004050607EB',
+      ':020000040001F9',
+      ':020000000809ED',
+      ':00000001FF',
+      '',
+    ]);
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should round-trip an image through the parser', function() {
+
+    let original = new HexFile();
+    let copy = new HexFile();
+
+    return original.loadFile(__dirname + '/files/64bytes.hex')
+    .then(function(image) {
+
+      let text = original.imageToHexString(image, { bytesPerLine: 32 });
+
+      return copy.loadStream(Readable.from([text]))
+      .then(function(copied) {
+        expect(copied.chunks()).to.deep.equal(image.chunks());
+      });
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should produce the same text from the readable stream', function(done) {
+
+    let hex = new HexFile();
+    let data = Buffer.alloc(0x300, 0xA5);
+    let text = '';
+
+    let stream = new HexFile.ReadableHexStream(data, { addressOffset: 0x1FF00, entryPoint: 0x20000 });
+
+    stream.on('data', function(chunk) {
+      text += chunk;
+    });
+
+    stream.on('end', function() {
+      expect(text).to.equal(hex.bufferToHexString(0x1FF00, data, { entryPoint: 0x20000 }));
+      done();
+    });
+
+  });
+
+});
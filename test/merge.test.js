@@ -0,0 +1,143 @@
+/**
+ * Tests combining several images into one
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+const Merge = require('../lib/merge');
+const Bootloader = require('../');
+
+const expect = require('chai').expect;
+
+// a bootloader, an application and a calibration overlay
+function createLayers() {
+
+  let boot = new MemoryImage();
+  let app = new MemoryImage();
+  let cal = new MemoryImage();
+
+  boot.fill(0x000, 0x100, 0xB0);
+  app.fill(0x100, 0x400, 0xA0);
+  app.entryPoint = 0x100;
+  cal.fill(0x3F0, 0x400, 0xC0);
+
+  return [boot, app, cal];
+}
+
+describe('Image Merge', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should reject overlaps by default', function() {
+
+    let layers = createLayers();
+
+    expect(() => Merge.mergeImages(layers.slice(0, 2))).not.to.throw();
+    expect(() => Merge.mergeImages(layers, { names: ['boot', 'app', 'cal'] }))
+      .to.throw('Images overlap at 0x3F0-0x3FF: app and cal contain different data');
+    expect(() => Merge.mergeImages(layers, { policy: 'newest' })).to.throw('Unknown merge policy');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should resolve overlaps according to the policy and report them', function() {
+
+    let layers = createLayers();
+
+    let last = Merge.mergeImages(layers, { policy: 'last-wins' });
+
+    expect(last.image.ranges()).to.deep.equal([{ address: 0, length: 0x400 }]);
+    expect(last.image.read(0x3EF, 2)).to.deep.equal(Buffer.from([0xA0, 0xC0]));
+    expect(last.image.entryPoint).to.equal(0x100);
+    expect(last.overlaps).to.deep.equal([{
+      address: 0x3F0,
+      length: 0x10,
+      layers: [1, 2],
+      sources: ['image 1', 'image 2'],
+      identical: false,
+      winner: 2,
+    }]);
+
+    let first = Merge.mergeImages(layers, { policy: 'first-wins' });
+
+    expect(first.image.read(0x3F0, 0x10)).to.deep.equal(Buffer.alloc(0x10, 0xA0));
+    expect(first.overlaps[0].winner).to.equal(1);
+
+    // partial overlap: only the new part of the overlay is used
+    let overlay = new MemoryImage();
+    overlay.fill(0x3F8, 0x410, 0xC1);
+
+    first = Merge.mergeImages([layers[1], overlay], { policy: 'first-wins' });
+
+    expect(first.image.read(0x3F7, 2)).to.deep.equal(Buffer.from([0xA0, 0xA0]));
+    expect(first.image.read(0x400, 0x10)).to.deep.equal(Buffer.alloc(0x10, 0xC1));
+    expect(first.overlaps[0]).to.include({ address: 0x3F8, length: 8 });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should allow identical overlaps only when asked', function() {
+
+    let layers = createLayers();
+    let copy = new MemoryImage();
+
+    copy.fill(0x0F0, 0x110, 0xB0);
+    copy.fill(0x100, 0x110, 0xA0);
+
+    let merged = Merge.mergeImages([layers[0], layers[1], copy], { policy: 'identical' });
+
+    expect(merged.overlaps.length).to.equal(2);
+    expect(merged.overlaps.every((overlap) => overlap.identical)).to.equal(true);
+    expect(merged.overlaps.map((overlap) => overlap.layers)).to.deep.equal([[0, 2], [1, 2]]);
+
+    expect(() => Merge.mergeImages(layers, { policy: 'identical' })).to.throw('contain different data');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should produce an image the bootloader can load', function() {
+
+    const bl = new Bootloader({}, {});
+
+    let target = new bl.BootloaderTarget.Target({ name: 'MockDevice' }, [
+      new bl.BootloaderTarget.EEPROM({ hexBlock: 64, sendBlock: 64 }),
+    ]);
+
+    bl.space = target.spaces[0];
+    bl.appStart = 0x100;
+    bl.appEnd = 0x400;
+
+    let merged = bl.Merge.mergeImages(createLayers(), { policy: 'last-wins' });
+
+    return bl.importFile(merged.image)
+    .then(function() {
+      // the bootloader region is outside the application space
+      expect(bl.sendList).to.deep.equal([4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+      expect(bl.buildBlock(15).slice(-1)).to.deep.equal([0xC0]);
+    });
+
+  });
+
+});
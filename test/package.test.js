@@ -0,0 +1,274 @@
+/**
+ * Tests reading, writing and loading firmware packages
+ */
+
+const Bootloader = require('../');
+const FirmwarePackage = require('../lib/package');
+const MemoryImage = require('../lib/MemoryImage');
+const MockTransport = require('./MockTransport');
+const Modbus = require('@csllc/cs-modbus');
+const fs = require('fs');
+
+const expect = require('chai').expect;
+
+let modbusConfig = {
+  "transport": {
+    "type": "j1939",
+    "connection": {
+      "type": "generic",
+    }
+  },
+  "suppressTransactionErrors": true,
+  "retryOnException": [0x05],
+  "maxConcurrentRequests": 1,
+
+  "defaultMaxRetries": 2,
+  "defaultTimeout": 500
+};
+
+// the checksum the mocked device reports for 64bytes.hex
+const CHECKSUM_64BYTES = 0x6D91;
+
+// creates a package holding 64bytes.hex for the mock device (product code
+// 0x32, bootloader version 4.6)
+function createPackage(manifest, crc) {
+
+  const bl = new Bootloader({});
+
+  return new bl.Hex().loadFile(__dirname + '/files/64bytes.hex')
+  .then(function(image) {
+    return new FirmwarePackage(Object.assign({ productCode: 0x32, minBootloaderVersion: '4.1', version: '1.0.0' }, manifest))
+    .addImage(0, image, { name: 'W25 Flash', crc: (undefined === crc) ? CHECKSUM_64BYTES : crc });
+  });
+}
+
+// a target with a single space, and timeouts that suit the mock transport
+function createTarget(bl) {
+
+  return new bl.BootloaderTarget.Target({
+    name: 'MockDevice',
+    enquireRetries: 1,
+    enquireTimeout: 20,
+    selectTimeout: 20,
+  }, [
+    new bl.BootloaderTarget.EEPROM({
+      hexBlock: 64,
+      sendBlock: 64,
+      eraseTimeout: 20,
+      dataTimeout: 20,
+      verifyTimeout: 20,
+      finishTimeout: 20,
+    }),
+  ]);
+}
+
+describe('Firmware Package', function() {
+
+  beforeEach(function(done) {
+
+    this.mock = new MockTransport({
+      enq: [
+        { delay: 1, buf: [0x47, 0xF0, 0x32, 0x04, 0x06, 0x05, 0x00, 0x40] },
+      ],
+      sel: [
+        { delay: 1, buf: [0x47, 0xf3, 0x00, 0xc0, 0x00, 0x04, 0x08, 0x00] },
+      ],
+      erase: [
+        { delay: 1, buf: [0x47, 0xf8, 0x00] },
+      ],
+      data: [
+        { delay: 1, buf: [0x47, 0xf9, 0x00, 0x00, 0x00, 0x24, 0x00] },
+      ],
+      verify: [
+        { delay: 1, buf: [0x47, 0xfa, 0x6D, 0x91] },
+      ],
+      finish: [
+        { delay: 1, buf: [0x47, 0xfd, 0x00] },
+      ],
+    });
+
+    modbusConfig.transport = this.mock;
+
+    this.master = Modbus.createMaster(modbusConfig);
+
+    this.master.on('connected', () => done());
+  });
+
+  afterEach(function() {
+    this.mock.destroy();
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should read back the manifest and images it writes', function() {
+
+    let original;
+
+    return createPackage()
+    .then(function(pkg) {
+
+      let eeprom = new MemoryImage();
+
+      eeprom.fill(0x10, 0x20, 0xA5);
+      original = pkg.addImage(1, eeprom, { name: 'EEPROM' });
+
+      return Promise.all([
+        FirmwarePackage.parse(original.toString()),
+        FirmwarePackage.parse(original.toBuffer({ compress: true })),
+      ]);
+    })
+    .then(function(copies) {
+
+      copies.forEach(function(copy) {
+        expect(copy.manifest()).to.deep.equal(original.manifest());
+        expect(copy.images.length).to.equal(2);
+        expect(copy.imageFor(0).image.read(0, 64)).to.deep.equal(original.imageFor(0).image.read(0, 64));
+        expect(copy.imageFor(1).image.ranges()).to.deep.equal([{ address: 0x10, length: 0x10 }]);
+        expect(copy.imageFor(1).crc).to.equal(null);
+        expect(copy.imageFor(2)).to.equal(null);
+      });
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should reject files that are not valid packages', function() {
+
+    let text = fs.readFileSync(__dirname + '/files/64bytes.hex', 'utf8');
+
+    expect(() => new FirmwarePackage({ minBootloaderVersion: '4' })).to.throw('major.minor');
+
+    return FirmwarePackage.parse(text)
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.match(/^Invalid firmware package/);
+
+      return FirmwarePackage.parse(JSON.stringify({ format: 'mb-loader-package', formatVersion: 99, images: [] }));
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Invalid firmware package: unsupported format version 99');
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load a package into a matching device', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+
+    return createPackage()
+    .then(function(pkg) {
+      return bl.loadPackage(pkg.toBuffer({ compress: true }), { target: createTarget(bl) });
+    })
+    .then(function() {
+      expect(me.mock.count.erases).to.equal(1);
+      expect(me.mock.count.finishes).to.equal(1);
+      expect(bl.computedCrc).to.equal(CHECKSUM_64BYTES);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should refuse a device that does not match the manifest before erasing', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+    let target = createTarget(bl);
+
+    function expectRefused(pkg, message) {
+      return bl.loadPackage(pkg, { target: target })
+      .then(function() {
+        throw new Error('should have failed');
+      }, function(err) {
+        expect(err.message).to.equal(message);
+        expect(me.mock.count.erases).to.equal(0);
+      });
+    }
+
+    return createPackage({ productCode: 0x21 })
+    .then(function(pkg) {
+      return expectRefused(pkg, 'Package is for product code 33 but the device is 50');
+    })
+    .then(function() {
+      return createPackage({ minBootloaderVersion: '4.10' });
+    })
+    .then(function(pkg) {
+      return expectRefused(pkg, 'Package needs bootloader version 4.10 or later but the device has 4.6');
+    })
+    .then(function() {
+      return createPackage({}, 0x1234);
+    })
+    .then(function(pkg) {
+      return expectRefused(pkg, 'Image checksum 6d91 does not match the package (1234)');
+    })
+    .then(function() {
+      return createPackage();
+    })
+    .then(function(pkg) {
+      pkg.imageFor(0).name = 'Application';
+      return expectRefused(pkg, 'Package image for space 0 is for \'Application\' but the target space is \'W25 Flash\'');
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should check the checksum of every image before erasing', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+    let target = createTarget(bl);
+
+    target.spaces.push(new bl.BootloaderTarget.EEPROM(target.spaces[0]));
+
+    return createPackage()
+    .then(function(pkg) {
+
+      // the image for the second space has the wrong checksum
+      pkg.addImage(1, pkg.imageFor(0).image, { name: 'W25 Flash', crc: 0x1234 });
+
+      return bl.loadPackage(pkg, { target: target });
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Image checksum 6d91 does not match the package (1234)');
+      expect(me.mock.count.sels).to.equal(2);
+      expect(me.mock.count.erases).to.equal(0);
+    });
+
+  });
+
+});
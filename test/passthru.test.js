@@ -0,0 +1,267 @@
+/**
+ * Tests loading a device through a gateway that passes our commands on to it
+ */
+
+const Bootloader = require('../');
+const MockTransport = require('./MockTransport');
+const Modbus = require('@csllc/cs-modbus');
+
+const sinon = require('sinon');
+
+const expect = require('chai').expect;
+
+let modbusConfig = {
+  "transport": {
+    "type": "j1939",
+    "connection": {
+      "type": "generic",
+    }
+  },
+  "suppressTransactionErrors": true,
+  "retryOnException": [0x05],
+  "maxConcurrentRequests": 1,
+
+  "defaultMaxRetries": 2,
+  "defaultTimeout": 500
+};
+
+const BL_OP_ENQUIRE = 0xF0;
+const BL_OP_PASSTHRU_ON = 0xF1;
+const BL_OP_PASSTHRU_OFF = 0xF2;
+const BL_OP_SELECT = 0xF3;
+const BL_OP_ERASE = 0xF8;
+const BL_OP_DATA = 0xF9;
+const BL_OP_VERIFY = 0xFA;
+const BL_OP_FINISH = 0xFD;
+
+// the device behind the gateway, with timeouts that suit the mock transport
+function createTarget(bl) {
+
+  return new bl.BootloaderTarget.Target({
+    name: 'MockDevice',
+    enquireRetries: 1,
+    enquireTimeout: 20,
+    selectTimeout: 20,
+  }, [
+    new bl.BootloaderTarget.EEPROM({
+      hexBlock: 64,
+      sendBlock: 64,
+      selectTimeout: 20,
+      eraseTimeout: 20,
+      dataTimeout: 20,
+      verifyTimeout: 20,
+      finishTimeout: 20,
+    }),
+  ]);
+}
+
+describe('Pass Through', function() {
+
+  beforeEach(function(done) {
+
+    this.mock = new MockTransport({
+      enq: [
+        { delay: 1, buf: [0x47, 0xF0, 0x32, 0x04, 0x06, 0x05, 0x00, 0x40] },
+      ],
+      passthruOn: [
+        { delay: 1, buf: [0x47, 0xf1, 0x00] },
+      ],
+      passthruOff: [
+        { delay: 1, buf: [0x47, 0xf2, 0x00] },
+      ],
+      sel: [
+        { delay: 1, buf: [0x47, 0xf3, 0x00, 0xc0, 0x00, 0x04, 0x08, 0x00] },
+      ],
+      erase: [
+        { delay: 1, buf: [0x47, 0xf8, 0x00] },
+      ],
+      data: [
+        { delay: 1, buf: [0x47, 0xf9, 0x00, 0x00, 0x00, 0x24, 0x00] },
+      ],
+      verify: [
+        { delay: 1, buf: [0x47, 0xfa, 0x6D, 0x91] },
+      ],
+      finish: [
+        { delay: 1, buf: [0x47, 0xfd, 0x00] },
+      ],
+    });
+
+    modbusConfig.transport = this.mock;
+
+    this.master = Modbus.createMaster(modbusConfig);
+
+    this.master.on('connected', () => done());
+  });
+
+  afterEach(function() {
+    this.mock.destroy();
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should open pass through, load the device and close it again', function() {
+
+    const bl = new Bootloader(this.master);
+    let commands = sinon.spy(this.master, 'command');
+
+    return bl.start(__dirname + '/files/64bytes.hex', {
+      target: createTarget(bl),
+      space: 0,
+      gateway: new bl.BootloaderTarget.CS1451(),
+    })
+    .then(function() {
+
+      expect(commands.args.map((args) => args[0])).to.deep.equal([
+        BL_OP_ENQUIRE, BL_OP_PASSTHRU_ON,
+        BL_OP_ENQUIRE, BL_OP_SELECT, BL_OP_ERASE, BL_OP_VERIFY, BL_OP_FINISH,
+        BL_OP_PASSTHRU_OFF,
+      ]);
+
+      // the gateway's own timeouts are used for it, and the device's are doubled
+      let timeouts = commands.args.map((args) => args[2].timeout);
+
+      expect(timeouts).to.deep.equal([250, 250, 40, 40, 40, 40, 40, 1000]);
+      expect(bl.inPassThru).to.equal(false);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should send DATA through the gateway', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+    let commands = sinon.spy(this.master, 'command');
+    let handleData = me.mock.handleData;
+    let handleVerify = me.mock.handleVerify;
+
+    // acknowledge each block by its address, and report the right checksum
+    me.mock.handleData = function(mock, transactionState) {
+      let values = transactionState.transaction.request.values;
+
+      mock.options.data = [{ delay: 1, buf: [0x47, 0xf9, 0x00, 0x00, 0x00, values[2], values[3]] }];
+      handleData(mock, transactionState);
+    };
+
+    me.mock.handleVerify = function(mock, transactionState) {
+      mock.options.verify = [{ delay: 1, buf: [0x47, 0xfa, bl.computedCrc >> 8, bl.computedCrc & 0xFF] }];
+      handleVerify(mock, transactionState);
+    };
+
+    // two blocks inside the application space the mock reports (0x300-0x5FFFF)
+    let image = new bl.MemoryImage();
+
+    image.fill(0x300, 0x380, 0x5A);
+
+    return bl.start(image, { target: createTarget(bl), space: 0, gateway: new bl.BootloaderTarget.CS1451() })
+    .then(function() {
+
+      let data = commands.args.filter((args) => args[0] === BL_OP_DATA);
+
+      expect(me.mock.count.datas).to.equal(2);
+      expect(data.map((args) => args[2].timeout)).to.deep.equal([40, 40]);
+      expect(me.mock.count.passthruOffs).to.equal(1);
+
+      // a command without a timeout of its own gets the master's default, scaled
+      bl.inPassThru = true;
+
+      let enquiry = bl.command(BL_OP_ENQUIRE);
+
+      expect(commands.lastCall.args[2].timeout).to.equal(1000);
+
+      return enquiry;
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should close pass through when the load fails or is aborted', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+    let target = createTarget(bl);
+
+    me.mock.options.verify = [{ delay: 1, buf: [0x47, 0xfa, 0x12, 0x34] }];
+
+    return bl.start(__dirname + '/files/64bytes.hex', { target: target, space: 0, gateway: new bl.BootloaderTarget.CS1451() })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Incorrect Checksum: Received 1234 but wanted 6d91');
+      expect(me.mock.count.finishes).to.equal(0);
+      expect(me.mock.count.passthruOffs).to.equal(1);
+
+      // abort while the device is being erased
+      bl.on('status', function(status) {
+        if(status === 'Erasing') {
+          bl.abort();
+        }
+      });
+
+      return bl.start(__dirname + '/files/64bytes.hex', { target: target, space: 0, gateway: new bl.BootloaderTarget.CS1451() });
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function() {
+      expect(me.mock.count.passthruOns).to.equal(2);
+      expect(me.mock.count.passthruOffs).to.equal(2);
+      expect(bl.inPassThru).to.equal(false);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should stop if the gateway cannot pass commands through', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+    let statuses = [];
+
+    bl.on('status', (status) => statuses.push(status));
+
+    // the gateway accepts ENQ but refuses PASSTHRU_ON
+    me.mock.options.passthruOn = [{ delay: 1, buf: [0x47, 0xf1, 0xFF] }];
+
+    return bl.start(__dirname + '/files/64bytes.hex', { target: createTarget(bl), space: 0, gateway: new bl.BootloaderTarget.CS1814() })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Bluetooth Adapter does not support pass through');
+      expect(me.mock.count.enqs).to.equal(0);
+
+      return bl.start(__dirname + '/files/64bytes.hex', { target: createTarget(bl), space: 0, gateway: new bl.BootloaderTarget.CS1451() });
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Pass through was refused by Controller');
+      expect(me.mock.count.passthruOffs).to.equal(1);
+      expect(statuses).to.include('Pass Through Off');
+    });
+
+  });
+
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests keeping or removing named address ranges of an image
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+const Ranges = require('../lib/ranges');
+const Bootloader = require('../');
+
+const expect = require('chai').expect;
+
+describe('Address Ranges', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should keep only the included ranges, less the excluded ones', function() {
+
+    let image = new MemoryImage();
+
+    image.fill(0x0000, 0x0100, 0x11);
+    image.fill(0x7000, 0x7200, 0x22);
+    image.fill(0x9000, 0x9010, 0x33);
+
+    let report = Ranges.applyRanges(image, {
+      include: [{ name: 'Strings', start: 0x7000, end: 0x8000 }, { start: 0x9000, end: 0x9100 }],
+      exclude: [{ name: 'Version', start: 0x7100, end: 0x7110 }],
+    });
+
+    expect(image.ranges()).to.deep.equal([
+      { address: 0x7000, length: 0x100 },
+      { address: 0x7110, length: 0xF0 },
+      { address: 0x9000, length: 0x10 },
+    ]);
+    expect(report).to.deep.equal([
+      { action: 'include', name: 'Strings', start: 0x7000, end: 0x8000, bytes: 0x200 },
+      { action: 'include', name: '0x9000-0x90FF', start: 0x9000, end: 0x9100, bytes: 0x10 },
+      { action: 'include', name: null, start: null, end: null, bytes: 0x100 },
+      { action: 'exclude', name: 'Version', start: 0x7100, end: 0x7110, bytes: 0x10 },
+    ]);
+
+    expect(() => Ranges.applyRanges(image, { exclude: [{ name: 'Bad', start: 0x10, end: 0x10 }] }))
+      .to.throw('Address range Bad must have a start below its end');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should leave out the PIC16 EEPROM before the checksum is calculated', function() {
+
+    const bl = new Bootloader({}, {});
+    let statuses = [];
+
+    let target = new bl.BootloaderTarget.Target({ name: 'MockDevice' }, [
+      new bl.BootloaderTarget.PIC16TinyBL(),
+    ]);
+
+    bl.target = target;
+    bl.space = target.spaces[0];
+    bl.appStart = 0;
+    bl.appEnd = 0x10000;
+
+    bl.on('status', (status) => statuses.push(status));
+
+    // code at word 0, and EEPROM data at word 0xF000 (0x1E000 in the HEX file)
+    let image = new MemoryImage();
+
+    image.fill(0x00000, 0x00040, 0x11);
+    image.fill(0x1E000, 0x1E010, 0xEE);
+
+    return bl.importFile(image)
+    .then(function() {
+
+      expect(bl.image.ranges()).to.deep.equal([{ address: 0, length: 0x40 }]);
+      expect(bl.sendList).to.deep.equal([0]);
+      expect(bl.computedCrc).to.equal(bl.space.checksum(0, 0x10000, 64, bl.image));
+      expect(statuses).to.include('Excluding EEPROM (f000-f0ff): 16 bytes');
+    });
+
+  });
+
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests relocating sections of an image
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+const Remap = require('../lib/remap');
+const Bootloader = require('../');
+
+const expect = require('chai').expect;
+
+describe('Image Remap', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should move sections of a byte-addressed image', function() {
+
+    let image = new MemoryImage();
+
+    image.fill(0x1000, 0x1100, 0xA0);
+    image.fill(0x1200, 0x1210, 0xA1);
+    image.fill(0x3000, 0x3010, 0xEE);
+    image.entryPoint = 0x1004;
+
+    let moved = Remap.remapImage(image, [
+      { from: 0x1000, to: 0x8000, length: 0x1000 },
+      { from: 0x3000, to: 0x0000, length: 0x10 },
+    ]);
+
+    expect(moved).to.deep.equal([
+      { from: 0x1000, to: 0x8000, length: 0x1000, bytes: 0x110 },
+      { from: 0x3000, to: 0x0000, length: 0x10, bytes: 0x10 },
+    ]);
+    expect(image.ranges()).to.deep.equal([
+      { address: 0x0000, length: 0x10 },
+      { address: 0x8000, length: 0x100 },
+      { address: 0x8200, length: 0x10 },
+    ]);
+    expect(image.read(0x8200, 1)[0]).to.equal(0xA1);
+    expect(image.entryPoint).to.equal(0x8004);
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should use space addresses for word-addressed spaces, and swap sections', function() {
+
+    let image = new MemoryImage();
+
+    // program addresses 0x400 and 0x800 are at 0x800 and 0x1000 in the HEX file
+    image.fill(0x800, 0x840, 0xAA);
+    image.fill(0x1000, 0x1040, 0xBB);
+
+    Remap.remapImage(image, [
+      { from: 0x400, to: 0x800, length: 0x20 },
+      { from: 0x800, to: 0x400, length: 0x20 },
+    ], 2);
+
+    expect(image.ranges()).to.deep.equal([
+      { address: 0x800, length: 0x40 },
+      { address: 0x1000, length: 0x40 },
+    ]);
+    expect(image.read(0x800, 1)[0]).to.equal(0xBB);
+    expect(image.read(0x1000, 1)[0]).to.equal(0xAA);
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should reject tables that conflict, without changing the image', function() {
+
+    let image = new MemoryImage();
+
+    image.fill(0x000, 0x100, 0x11);
+    image.fill(0x200, 0x300, 0x22);
+
+    expect(() => Remap.remapImage(image, [{ from: 0, to: 0x250, length: 0x100 }]))
+      .to.throw('Remapping 0x0 to 0x250 would overwrite data at 0x250');
+    expect(() => Remap.remapImage(image, [{ from: 0, to: 0x400, length: 0x100 }, { from: 0x80, to: 0x800, length: 0x10 }]))
+      .to.throw('Remap entries at 0x0 and 0x80 move the same data');
+    expect(() => Remap.remapImage(image, [{ from: 0, to: 0x400, length: 0x100 }, { from: 0x200, to: 0x480, length: 0x100 }]))
+      .to.throw('Remap entries at 0x0 and 0x200 move data to the same place');
+    expect(() => Remap.remapImage(image, [{ from: 0, to: 0x400, length: 0 }])).to.throw('has no length');
+
+    expect(image.ranges()).to.deep.equal([
+      { address: 0x000, length: 0x100 },
+      { address: 0x200, length: 0x100 },
+    ]);
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should apply the space\'s remap table before the image is divided into blocks', function() {
+
+    const bl = new Bootloader({}, {});
+    let statuses = [];
+
+    let space = new bl.BootloaderTarget.EEPROM({ hexBlock: 64, sendBlock: 64 });
+
+    // the file is linked for the A slot at 0; load it into the B slot
+    space.remap = [{ from: 0, to: 0x200, length: 0x200 }];
+
+    let target = new bl.BootloaderTarget.Target({ name: 'MockDevice' }, [space]);
+
+    bl.target = target;
+    bl.space = target.spaces[0];
+    bl.appStart = 0;
+    bl.appEnd = 0x400;
+
+    bl.on('status', (status) => statuses.push(status));
+
+    return bl.importFile(__dirname + '/files/64bytes.hex')
+    .then(function() {
+      expect(bl.sendList).to.deep.equal([8]);
+      expect(bl.buildBlock(8).slice(0, 5)).to.deep.equal([0, 0, 0x02, 0x00, 0x55]);
+      expect(statuses).to.include('Remapped 0-1ff to 200 (64 bytes)');
+    });
+
+  });
+
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests loading several memory spaces in one bootloader session
+ */
+
+const Bootloader = require('../');
+const MockTransport = require('./MockTransport');
+const Modbus = require('@csllc/cs-modbus');
+
+const expect = require('chai').expect;
+
+let modbusConfig = {
+  "transport": {
+    "type": "j1939",
+    "connection": {
+      "type": "generic",
+    }
+  },
+  "suppressTransactionErrors": true,
+  "retryOnException": [0x05],
+  "maxConcurrentRequests": 1,
+
+  "defaultMaxRetries": 2,
+  "defaultTimeout": 500
+};
+
+// two blocks of data in the application space the mock device reports (0x300-0x5FFFF)
+function createImage(bl) {
+
+  let image = new bl.MemoryImage();
+
+  image.fill(0x300, 0x380, 0x5A);
+
+  return image;
+}
+
+// makes the mock acknowledge each block by its address, and report the
+// checksum the bootloader expects (or a wrong one for the given VERIFY)
+function respondLikeDevice(mock, bl, badVerify) {
+
+  let handleData = mock.handleData;
+  let handleVerify = mock.handleVerify;
+
+  mock.handleData = function(mock, transactionState) {
+    let values = transactionState.transaction.request.values;
+
+    mock.options.data = [{ delay: 1, buf: [0x47, 0xf9, 0x00, 0x00, 0x00, values[2], values[3]] }];
+    handleData(mock, transactionState);
+  };
+
+  mock.handleVerify = function(mock, transactionState) {
+    let crc = (mock.count.verifies === badVerify) ? 0x1234 : bl.computedCrc;
+
+    mock.options.verify = [{ delay: 1, buf: [0x47, 0xfa, crc >> 8, crc & 0xFF] }];
+    handleVerify(mock, transactionState);
+  };
+}
+
+// a target with two spaces, and timeouts that suit the mock transport
+function createTarget(bl) {
+
+  function space(name) {
+    return new bl.BootloaderTarget.EEPROM({
+      name: name,
+      hexBlock: 64,
+      sendBlock: 64,
+      eraseTimeout: 20,
+      dataTimeout: 20,
+      verifyTimeout: 20,
+      finishTimeout: 20,
+    });
+  }
+
+  return new bl.BootloaderTarget.Target({
+    name: 'MockDevice',
+    enquireRetries: 1,
+    enquireTimeout: 20,
+    selectTimeout: 20,
+  }, [space('Flash #1'), space('Flash #2')]);
+}
+
+describe('Multiple Space Session', function() {
+
+  beforeEach(function(done) {
+
+    this.mock = new MockTransport({
+      enq: [
+        { delay: 1, buf: [0x47, 0xF0, 0x32, 0x04, 0x06, 0x05, 0x00, 0x40] },
+      ],
+      sel: [
+        { delay: 1, buf: [0x47, 0xf3, 0x00, 0xc0, 0x00, 0x04, 0x08, 0x00] },
+      ],
+      erase: [
+        { delay: 1, buf: [0x47, 0xf8, 0x00] },
+      ],
+      data: [
+        { delay: 1, buf: [0x47, 0xf9, 0x00, 0x00, 0x00, 0x24, 0x00] },
+      ],
+      verify: [
+        { delay: 1, buf: [0x47, 0xfa, 0x6D, 0x91] },
+      ],
+      finish: [
+        { delay: 1, buf: [0x47, 0xfd, 0x00] },
+      ],
+    });
+
+    modbusConfig.transport = this.mock;
+
+    this.master = Modbus.createMaster(modbusConfig);
+
+    this.master.on('connected', () => done());
+  });
+
+  afterEach(function() {
+    this.mock.destroy();
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should load each space and finish once', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+    let statuses = [];
+    let progress = [];
+    let spaceProgress = [];
+
+    respondLikeDevice(me.mock, bl);
+
+    bl.on('status', (status) => statuses.push(status));
+    bl.on('progress', (percent) => progress.push(percent));
+    bl.on('spaceProgress', (space, percent) => spaceProgress.push([space, percent]));
+
+    return bl.loadSpaces([
+      { space: 0, image: createImage(bl) },
+      { space: 1, image: createImage(bl) },
+    ], { target: createTarget(bl) })
+    .then(function() {
+      expect(me.mock.count).to.deep.equal({ enqs: 1, passthruOns: 0, passthruOffs: 0, sels: 2, erases: 2, datas: 4, verifies: 2, finishes: 1 });
+      expect(progress).to.deep.equal([25, 50, 75, 100]);
+      expect(spaceProgress).to.deep.equal([[0, 50], [0, 100], [1, 50], [1, 100]]);
+      expect(statuses).to.include('Loading Flash #1 (1 of 2)');
+      expect(statuses).to.include('Loading Flash #2 (2 of 2)');
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should not finish if a space does not verify', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+
+    // the second space reports the wrong checksum
+    respondLikeDevice(me.mock, bl, 2);
+
+    return bl.loadSpaces([
+      { space: 0, image: createImage(bl) },
+      { space: 1, image: createImage(bl) },
+    ], { target: createTarget(bl) })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Incorrect Checksum: Received 1234 but wanted ' + bl.computedCrc.toString(16));
+      expect(me.mock.count.verifies).to.equal(2);
+      expect(me.mock.count.finishes).to.equal(0);
+
+      return bl.loadSpaces([{ space: 2, image: createImage(bl) }], { target: createTarget(bl) });
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Target has no memory space 2');
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should read each image with its own import options', function() {
+
+    let me = this;
+    const bl = new Bootloader(this.master);
+    let addresses = [];
+
+    respondLikeDevice(me.mock, bl);
+
+    let handleData = me.mock.handleData;
+
+    me.mock.handleData = function(mock, transactionState) {
+      let values = transactionState.transaction.request.values;
+
+      addresses.push(values[1] * 0x10000 + values[2] * 0x100 + values[3]);
+      handleData(mock, transactionState);
+    };
+
+    expect(bl.Binary).to.equal(require('../lib/binfile'));
+
+    // raw binary images, which need their own base addresses
+    return bl.loadSpaces([
+      { space: 0, image: Buffer.alloc(0x40, 0x11), baseAddress: 0x300 },
+      { space: 1, image: Buffer.alloc(0x40, 0x22) },
+    ], { target: createTarget(bl), baseAddress: 0x1000 })
+    .then(function() {
+      expect(addresses).to.deep.equal([0x300, 0x1000]);
+      expect(me.mock.count.finishes).to.equal(1);
+    });
+
+  });
+
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests dividing a combined image into one image for each memory space
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+const Split = require('../lib/split');
+const Bootloader = require('../');
+
+const expect = require('chai').expect;
+
+// a PIC18 build: code, EEPROM data and configuration words
+function createImage() {
+
+  let image = new MemoryImage();
+
+  image.fill(0x000000, 0x000100, 0x11);
+  image.fill(0x300000, 0x30000E, 0xCC);
+  image.fill(0xF00000, 0xF00010, 0xEE);
+  image.entryPoint = 0x40;
+
+  return image;
+}
+
+describe('Image Split', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should route each range of data to the space that declares it', function() {
+
+    let image = new MemoryImage();
+
+    image.fill(0x000, 0x300, 0x11);
+    image.entryPoint = 0x280;
+
+    let result = Split.splitImage(image, [
+      { name: 'Low', hexRanges: [{ start: 0x000, end: 0x100 }] },
+      { name: 'Nothing' },
+      { name: 'High', hexRanges: [{ start: 0x200, end: 0x280 }, { start: 0x280, end: 0x1000 }] },
+    ]);
+
+    expect(result.images.map((entry) => entry.space)).to.deep.equal([0, 2]);
+    expect(result.images[0].image.ranges()).to.deep.equal([{ address: 0x000, length: 0x100 }]);
+    expect(result.images[1].image.ranges()).to.deep.equal([{ address: 0x200, length: 0x100 }]);
+    expect(result.images[0].image.entryPoint).to.equal(null);
+    expect(result.images[1].image.entryPoint).to.equal(0x280);
+    expect(result.unrouted).to.deep.equal([{ address: 0x100, length: 0x100 }]);
+
+    // the original is not changed
+    expect(image.ranges()).to.deep.equal([{ address: 0, length: 0x300 }]);
+
+    expect(() => Split.splitImage(image, [
+      { hexRanges: [{ start: 0x000, end: 0x200 }] },
+      { hexRanges: [{ start: 0x100, end: 0x300 }] },
+    ])).to.throw('Memory spaces 0 and 1 both claim the data at 0x100');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should split a PIC18 file into program memory and EEPROM', function() {
+
+    const bl = new Bootloader({}, {});
+    let statuses = [];
+
+    let target = new bl.BootloaderTarget.Target({ name: 'MockDevice' }, [
+      new bl.BootloaderTarget.PIC18Application(),
+      new bl.BootloaderTarget.PIC18Eeprom(),
+    ]);
+
+    bl.on('status', (status) => statuses.push(status));
+
+    return bl.splitFile(createImage(), { target: target })
+    .then(function(images) {
+
+      expect(images.map((entry) => entry.space)).to.deep.equal([0, 1]);
+      expect(images[1].image.ranges()).to.deep.equal([{ address: 0xF00000, length: 0x10 }]);
+      expect(statuses).to.include('Warning: No memory space for the data at 300000-30000d (14 bytes)');
+      expect(statuses).to.include('PIC18 EEPROM: 16 bytes');
+
+      // the EEPROM image loads at address 0 of its space
+      bl.target = target;
+      bl.space = target.spaces[1];
+      bl.appStart = 0;
+      bl.appEnd = 0x400;
+
+      return bl.importFile(images[1].image);
+    })
+    .then(function() {
+      expect(bl.validation).to.deep.equal([]);
+      expect(bl.sendList).to.deep.equal([0xF00000 / 64]);
+
+      return bl.splitFile(createImage(), { target: target, unrouted: 'error' });
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('File has data that is in no memory space, at 300000');
+    });
+
+  });
+
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests parsing of Motorola S-records
+ */
+
+const SRecordFile = require('../lib/srecord');
+const HexFile = require('../lib/intelhex');
+
+const expect = require('chai').expect;
+
+describe('S-record Parsing', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should produce the same image as the equivalent HEX file', function() {
+
+    let srec = new SRecordFile();
+    let hex = new HexFile();
+
+    return Promise.all([
+      srec.loadFile(__dirname + '/files/64bytes.s19'),
+      hex.loadFile(__dirname + '/files/64bytes.hex'),
+    ])
+    .then(function(results) {
+      expect(results[0].chunks()).to.deep.equal(results[1].chunks());
+      expect(srec.header).to.equal('64bytes');
+      expect(srec.entryPoint).to.equal(0);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should handle 32-bit addresses and start records', function() {
+
+    let srec = new SRecordFile();
+
+    return srec.loadString('S3090800000001020304E4\nS70508000100F1\n')
+    .then(function(image) {
+      expect(image.read(0x08000000, 4)).to.deep.equal(Buffer.from([1, 2, 3, 4]));
+      expect(srec.entryPoint).to.equal(0x08000100);
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should reject bad checksums and record counts', function() {
+
+    let srec = new SRecordFile();
+
+    return srec.loadString('S3090800000001020304E5\nS70508000100F1\n')
+    .then(function() {
+      throw new Error('Should not have accepted a bad checksum');
+    }, function(err) {
+      expect(err.message).to.match(/Bad checksum in S-record line: 1/);
+      expect(err.diagnostics[0]).to.include({ line: 1, column: 21, recordType: 3, reason: 'checksum', severity: 'error' });
+
+      return srec.loadString('S3090800000001020304E4\nS5030002FA\nS70508000100F1\n');
+    })
+    .then(function() {
+      throw new Error('Should not have accepted a bad count');
+    }, function(err) {
+      expect(err.message).to.match(/count mismatch/);
+    });
+
+  });
+
+});
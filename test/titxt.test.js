@@ -0,0 +1,151 @@
+/**
+ * Tests parsing of TI-TXT files
+ */
+
+const TiTxtFile = require('../lib/titxt');
+const HexFile = require('../lib/intelhex');
+const Formats = require('../lib/formats');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = require('chai').expect;
+
+describe('TI-TXT Parsing', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should produce the same image as the equivalent HEX file', function() {
+
+    let txt = new TiTxtFile();
+    let hex = new HexFile();
+
+    return Promise.all([
+      txt.loadFile(__dirname + '/files/64bytes.txt'),
+      hex.loadFile(__dirname + '/files/64bytes.hex'),
+    ])
+    .then(function(results) {
+      expect(results[0].chunks()).to.deep.equal(results[1].chunks());
+      expect(results[0].toBlocks(64)).to.deep.equal(results[1].toBlocks(64));
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should place each section at its address', function() {
+
+    let txt = new TiTxtFile();
+
+    return txt.loadString('@F000\n31 40 00 03\nB2 40\n@FFFE\n00 F0\nq\n')
+    .then(function(image) {
+      expect(image.ranges()).to.deep.equal([
+        { address: 0xF000, length: 6 },
+        { address: 0xFFFE, length: 2 },
+      ]);
+      expect(image.read(0xF004, 2)).to.deep.equal(Buffer.from([0xB2, 0x40]));
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should reject bad data and a missing q', function() {
+
+    let txt = new TiTxtFile();
+
+    return txt.loadString('00 11\n@1000\n22 3G\nq\n')
+    .then(function() {
+      throw new Error('Should not have accepted bad data');
+    }, function(err) {
+      expect(err.diagnostics.map((d) => [d.line, d.column, d.reason])).to.deep.equal([
+        [1, 1, 'missing-address'],
+        [3, 4, 'non-hex'],
+      ]);
+
+      return txt.loadString('@1000\n22 33\n');
+    })
+    .then(function() {
+      throw new Error('Should not have accepted a missing q');
+    }, function(err) {
+      expect(err.diagnostics[0].reason).to.equal('missing-eof');
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should be detected by extension or content', function() {
+
+    let text = '@1000\r\n22 33\r\nq\r\n';
+
+    expect(Formats.fromFilename('firmware.txt')).to.equal('titxt');
+    expect(Formats.fromContent(text)).to.equal('titxt');
+    expect(Formats.fromContent(':00000001FF')).to.equal('hex');
+
+    // content is checked if the extension is not known
+    expect(Formats.fromFile(__dirname + '/files/64bytes.hex')).to.equal('hex');
+    expect(Formats.fromFile(__dirname + '/files/64bytes.s19')).to.equal('srec');
+    expect(Formats.fromFile(__dirname + '/files/no-such-file')).to.equal('hex');
+
+    let filename = path.join(os.tmpdir(), 'mb-loader-titxt-' + process.pid + '.fw');
+
+    fs.writeFileSync(filename, text);
+
+    try {
+      expect(Formats.fromFile(filename)).to.equal('titxt');
+    } finally {
+      fs.unlinkSync(filename);
+    }
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should read a HEX file named *.txt as HEX', function() {
+
+    let filename = path.join(os.tmpdir(), 'mb-loader-hex-' + process.pid + '.txt');
+
+    fs.copyFileSync(__dirname + '/files/64bytes.hex', filename);
+
+    expect(Formats.fromFile(filename)).to.equal('hex');
+
+    return Promise.all([
+      Formats.createParser(Formats.fromFile(filename)).loadFile(filename),
+      new HexFile().loadFile(__dirname + '/files/64bytes.hex'),
+    ])
+    .then(function(images) {
+      expect(images[0].chunks()).to.deep.equal(images[1].chunks());
+    })
+    .finally(function() {
+      fs.unlinkSync(filename);
+    });
+
+  });
+
+});
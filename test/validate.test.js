@@ -0,0 +1,147 @@
+/**
+ * Tests checking an image against the memory space it is loaded into
+ */
+
+const MemoryImage = require('../lib/MemoryImage');
+const Validate = require('../lib/validate');
+const Bootloader = require('../');
+
+const expect = require('chai').expect;
+
+// an image with data in the bootloader, the application space and beyond it
+function createImage() {
+
+  let image = new MemoryImage();
+
+  image.fill(0x000, 0x080, 0xB0);
+  image.fill(0x200, 0x240, 0xA0);
+  image.fill(0x500, 0x510, 0xC0);
+
+  return image;
+}
+
+describe('Image Validation', function() {
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report data outside the application space and in the bootloader', function() {
+
+    let options = { appStart: 0x100, appEnd: 0x400 };
+
+    expect(Validate.validateImage(createImage(), options)).to.deep.equal([
+      { severity: 'warning', reason: 'out-of-range', address: 0x000, length: 0x80,
+        message: 'Data outside the application space will not be loaded at 0x0-0x7F (128 addresses)' },
+      { severity: 'warning', reason: 'out-of-range', address: 0x500, length: 0x10,
+        message: 'Data outside the application space will not be loaded at 0x500-0x50F (16 addresses)' },
+    ]);
+
+    options.bootloaderRegion = { start: 0, end: 0x100 };
+    options.severity = { 'bootloader-region': 'error', 'out-of-range': 'ignore' };
+
+    expect(Validate.validateImage(createImage(), options)).to.deep.equal([
+      { severity: 'error', reason: 'bootloader-region', address: 0x000, length: 0x80,
+        message: 'Data in the bootloader region at 0x0-0x7F (128 addresses)' },
+    ]);
+
+    expect(() => Validate.validateImage(createImage(), { appStart: 0, appEnd: 1, severity: { empty: 'fatal' } }))
+      .to.throw('Validation severity must be one of error, warning, ignore');
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should report an empty image in device addresses', function() {
+
+    // word addressed, with the image based at 0x1000 in the device
+    let diagnostics = Validate.validateImage(createImage(), {
+      appStart: 0x1180,
+      appEnd: 0x1200,
+      addressing: 2,
+      dataOffset: 0x1000,
+      severity: { empty: 'error' },
+    });
+
+    expect(diagnostics.map((diagnostic) => diagnostic.reason)).to.deep.equal(['out-of-range', 'out-of-range', 'out-of-range', 'empty']);
+    expect(diagnostics[1].address).to.equal(0x1100);
+    expect(diagnostics[1].length).to.equal(0x20);
+    expect(diagnostics[3]).to.deep.equal({
+      severity: 'error', reason: 'empty', address: null, length: 0,
+      message: 'No data for the application space (0x1180-0x11FF)',
+    });
+
+  });
+
+  //  ████████╗███████╗███████╗████████╗     ██████╗ █████╗ ███████╗███████╗
+  //  ╚══██╔══╝██╔════╝██╔════╝╚══██╔══╝    ██╔════╝██╔══██╗██╔════╝██╔════╝
+  //     ██║   █████╗  ███████╗   ██║       ██║     ███████║███████╗█████╗
+  //     ██║   ██╔══╝  ╚════██║   ██║       ██║     ██╔══██║╚════██║██╔══╝
+  //     ██║   ███████╗███████║   ██║       ╚██████╗██║  ██║███████║███████╗
+  //     ╚═╝   ╚══════╝╚══════╝   ╚═╝        ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+  //
+  it('should warn about problems when importing, unless the target makes them fatal', function() {
+
+    const bl = new Bootloader({}, {});
+    let statuses = [];
+
+    let target = new bl.BootloaderTarget.Target({
+      name: 'MockDevice',
+      bootloaderRegion: { start: 0, end: 0x100 },
+    }, [
+      new bl.BootloaderTarget.EEPROM({ hexBlock: 64, sendBlock: 64 }),
+    ]);
+
+    bl.target = target;
+    bl.space = target.spaces[0];
+    bl.appStart = 0x100;
+    bl.appEnd = 0x400;
+
+    bl.on('status', (status) => statuses.push(status));
+
+    return bl.importFile(createImage())
+    .then(function() {
+
+      expect(bl.sendList).to.deep.equal([8]);
+      expect(bl.validation.map((diagnostic) => diagnostic.reason)).to.deep.equal(['bootloader-region', 'out-of-range']);
+      expect(statuses).to.include('Warning: Data in the bootloader region at 0x0-0x7F (128 addresses)');
+
+      target.target.validation = { 'bootloader-region': 'error' };
+
+      return bl.importFile(createImage());
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.equal('Hex file is not compatible with this device: Data in the bootloader region at 0x0-0x7F (128 addresses)');
+      expect(err.diagnostics.length).to.equal(2);
+
+      // the setting is not shared with other targets
+      expect(new bl.BootloaderTarget.Target({ name: 'Other' }).target.validation).to.equal(undefined);
+
+      // in pipelined mode, the whole file is read and checked before anything is sent
+      bl.sendAppBlock = function() {
+        throw new Error('should not have sent a block');
+      };
+
+      return bl.beginPipeline(new bl.Hex().segmentsToHexString(createImage().chunks()));
+    })
+    .then(function() {
+      throw new Error('should have failed');
+    }, function(err) {
+      expect(err.message).to.match(/^Hex file is not compatible with this device/);
+      expect(bl.pipeline).to.equal(null);
+      expect(statuses).to.include('Pipelined loading is not possible; loading the whole file first');
+    });
+
+  });
+
+});